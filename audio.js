@@ -1,17 +1,94 @@
+/**
+ * Put audio samples into a list of channels
+ * @param {array} samples Array of audio samples, or an array of arrays
+ *                        with the samples of each channel
+ * 
+ * @return An array with the samples of each channel
+ */
+function getChannelList(samples) {
+  if (samples.length > 0 && typeof samples[0] == "object") {
+    return samples;
+  }
+  return [samples];
+}
+
+/**
+ * Average the channels of multichannel audio into one channel
+ * @param {array} channels An array of arrays with the samples of each channel
+ * 
+ * @return A Float32Array with the mono samples
+ */
+function getDownmix(channels) {
+  let mono = new Float32Array(channels[0].length);
+  for (let c = 0; c < channels.length; c++) {
+    for (let i = 0; i < mono.length; i++) {
+      mono[i] += channels[c][i]/channels.length;
+    }
+  }
+  return mono;
+}
+
+/**
+ * Interleave the channels of multichannel audio, as in a wave file
+ * @param {array} channels An array of arrays with the samples of each channel
+ * 
+ * @return A Float32Array with the samples of all channels at the first
+ *         time, followed by the samples of all channels at the second time, etc.
+ */
+function interleaveChannels(channels) {
+  const nc = channels.length;
+  const N = channels[0].length;
+  let res = new Float32Array(N*nc);
+  for (let c = 0; c < nc; c++) {
+    for (let i = 0; i < N; i++) {
+      res[i*nc+c] = channels[c][i];
+    }
+  }
+  return res;
+}
+
+/**
+ * Get all of the channels out of a decoded audio buffer
+ * @param {AudioBuffer} buff The audio buffer
+ * 
+ * @return An array with the Float32Array samples of each channel
+ */
+function getAudioBufferChannels(buff) {
+  let channels = [];
+  for (let c = 0; c < buff.numberOfChannels; c++) {
+    channels.push(buff.getChannelData(c));
+  }
+  return channels;
+}
+
+/**
+ * Create a wave file blob out of audio samples
+ * @param {array} samples Array of audio samples, or an array of arrays
+ *                        with the samples of each channel
+ * @param {int} sr Sample rate
+ * 
+ * @return A Blob with the wave file
+ */
+function getWavBlob(samples, sr) {
+  const channels = getChannelList(samples);
+  const audio = interleaveChannels(channels);
+  // get WAV file bytes and audio params of your audio source
+  const wavBytes = getWavBytes(audio.buffer, {
+    isFloat: true,       // floating point or 16-bit integer
+    numChannels: channels.length,
+    sampleRate: sr,
+  })
+  return new Blob([wavBytes], {type: 'audio/wav'});
+}
+
 /**
  * Download audio samples as a wave file
- * @param {array} samples Array of audio samples
+ * @param {array} samples Array of audio samples, or an array of arrays
+ *                        with the samples of each channel
  * @param {int} sr Sample rate
  */
 function downloadSamples(samples, sr) {
-    let audio = new Float32Array(samples);
-    // get WAV file bytes and audio params of your audio source
-    const wavBytes = getWavBytes(audio.buffer, {
-      isFloat: true,       // floating point or 16-bit integer
-      numChannels: 1,
-      sampleRate: sr,
-    })
-    const wav = new Blob([wavBytes], {type: 'audio/wav'});
+    const wav = getWavBlob(samples, sr);
     // Create download link and append to DOM
     const a = document.createElement('a');
     a.href = window.URL.createObjectURL(wav);
@@ -23,7 +100,8 @@ function downloadSamples(samples, sr) {
 
 /**
  * Convert a list of floating point samples into a mp3 binary
- * @param {array} samples An array of floating points samples in the range [-1, 1]
+ * @param {array} samples An array of floating points samples in the range [-1, 1],
+ *                        or an array of two such arrays for stereo audio
  * @param {int} sr Sample rate
  * @param {int} kbps Kilobits per second
  * 
@@ -33,12 +111,20 @@ function getMP3Binary(samples, sr, kbps) {
   if (kbps === undefined) {
     kbps = 128;
   }
-  let samples16 = new Int16Array(samples.length);
-  for (let i = 0; i < samples.length; i++) {
-    samples16[i] = Math.round(samples[i]*32767);
+  const channels = getChannelList(samples);
+  if (channels.length > 2) {
+    throw new Error("Unsupported number of mp3 channels " + channels.length);
+  }
+  let channels16 = [];
+  for (let c = 0; c < channels.length; c++) {
+    let samples16 = new Int16Array(channels[c].length);
+    for (let i = 0; i < samples16.length; i++) {
+      samples16[i] = Math.round(Math.max(-1, Math.min(1, channels[c][i]))*32767);
+    }
+    channels16.push(samples16);
   }
-  let mp3encoder = new lamejs.Mp3Encoder(1, sr, kbps);
-  let part1 = mp3encoder.encodeBuffer(samples16);
+  let mp3encoder = new lamejs.Mp3Encoder(channels.length, sr, kbps);
+  let part1 = mp3encoder.encodeBuffer(channels16[0], channels16[1]);
   let part2 = mp3encoder.flush(); // End part of mp3
   let res = new Uint8Array(part1.length + part2.length);
   for (let i = 0; i < part1.length; i++) {
@@ -60,6 +146,9 @@ class SampledAudio {
 
     this.audioBlob = null;
     this.samples = [];
+    this.channels = [this.samples];
+    // Index of the channel used for analysis, or null to use the mono downmix
+    this.analysisChannel = null;
     this.sr = 44100;
 
     // Handles for stop/start buttons
@@ -73,14 +162,7 @@ class SampledAudio {
    * @param {DOM Element} audioPlayer DOM element handle to an audio player
    */
   connectAudioPlayer(audioPlayer) {
-    let a = new Float32Array(this.samples);
-    // get WAV file bytes and audio params of your audio source
-    const wavBytes = getWavBytes(a.buffer, {
-        isFloat: true,       // floating point or 16-bit integer
-        numChannels: 1,
-        sampleRate: audio.sr,
-    })
-    const wav = new Blob([wavBytes], {type: 'audio/wav'});
+    const wav = getWavBlob(this.channels, this.sr);
     audioPlayer.src = window.URL.createObjectURL(wav);
   }
 
@@ -141,7 +223,8 @@ class SampledAudio {
             buffer => {
               that.audioContext.decodeAudioData(buffer, function(buff) {
                 that.sr = buff.sampleRate;
-                that.samples= buff.getChannelData(0);
+                that.channels = getAudioBufferChannels(buff);
+                that.selectChannel();
                 resolve();
               });
             }
@@ -162,6 +245,8 @@ class SampledAudio {
   startRecordingRealtime(startButtonStr, stopButtonStr, chunkSize, onChunkRead) {
     const that = this;
     this.samples = [];
+    this.channels = [this.samples];
+    this.analysisChannel = null;
     this.startButton = document.getElementById(startButtonStr);
     this.stopButton = document.getElementById(stopButtonStr);
     const startButton = this.startButton;
@@ -216,7 +301,7 @@ class SampledAudio {
     let that = this;
     return new Promise(resolve => {
       that.audioContext.decodeAudioData(data, function(buff) {
-        that.setSamples(buff.getChannelData(0), buff.sampleRate);
+        that.setChannels(getAudioBufferChannels(buff), buff.sampleRate);
         resolve();
       });
     });
@@ -232,7 +317,7 @@ class SampledAudio {
     return new Promise((resolve, reject) => {
       $.get(path, function(data) {
         that.audioContext.decodeAudioData(data, function(buff) {
-          that.setSamples(buff.getChannelData(0), buff.sampleRate);
+          that.setChannels(getAudioBufferChannels(buff), buff.sampleRate);
           resolve();
         });
       }, "arraybuffer")
@@ -250,19 +335,60 @@ class SampledAudio {
    * @param {int} sr Sample rate
    */
   setSamples(samples, sr) {
-    this.samples = samples;
+    this.setChannels([samples], sr);
+  }
+
+  /**
+   * Create an audio object for multichannel audio, and overwrite
+   * the sample rate to be sr.  The samples used for analysis are
+   * the mono downmix of all of the channels
+   * 
+   * @param {array} channels An array of arrays with the samples of each channel,
+   *                         all of the same length
+   * @param {int} sr Sample rate
+   */
+  setChannels(channels, sr) {
+    this.channels = channels;
     this.sr = sr;
-    let audio = new Float32Array(samples);
-    const wavBytes = getWavBytes(audio.buffer, {
-      isFloat: true,       // floating point or 16-bit integer
-      numChannels: 1,
-      sampleRate: this.sr,
-    })
-    this.audioBlob = new Blob([wavBytes], {type: 'audio/wav'});
+    this.selectChannel();
+    this.audioBlob = getWavBlob(this.channels, this.sr);
     const audioUrl = URL.createObjectURL(this.audioBlob);
     this.audio = new Audio(audioUrl);
   }
 
+  /**
+   * Choose which samples all of the analysis methods use.  Playback
+   * and export always use all of the channels
+   * 
+   * @param {int} channel Index of the channel to analyze.  If this is
+   *                      not given, analyze the mono downmix of all channels
+   */
+  selectChannel(channel) {
+    if (channel === undefined || channel === null) {
+      this.analysisChannel = null;
+      if (this.channels.length == 1) {
+        this.samples = this.channels[0];
+      }
+      else {
+        this.samples = getDownmix(this.channels);
+      }
+    }
+    else {
+      if (channel < 0 || channel >= this.channels.length) {
+        throw new Error("Unknown channel " + channel);
+      }
+      this.analysisChannel = channel;
+      this.samples = this.channels[channel];
+    }
+  }
+
+  /**
+   * @returns The number of channels in the audio
+   */
+  getNumChannels() {
+    return this.channels.length;
+  }
+
   /**
    * Play the audio
    */
@@ -274,7 +400,16 @@ class SampledAudio {
    * Download the audio as a WAV
    */
   downloadAudio() {
-    downloadSamples(this.samples, this.sr);
+    downloadSamples(this.channels, this.sr);
+  }
+
+  /**
+   * Encode the audio as an mp3, keeping both channels if it's stereo
+   * @param {int} kbps Kilobits per second (default 128)
+   * @returns A Uint8Array with the binary data for the mp3 file
+   */
+  getMP3Binary(kbps) {
+    return getMP3Binary(this.channels, this.sr, kbps);
   }
 
   /**
@@ -303,24 +438,237 @@ class SampledAudio {
    * @param {int} win Window length (assumed to be even)
    * @param {int} hop Hop length
    * @param {boolean} useDb If true, use dB.  If false, use amplitude
+   * @param {object} options {window, center, padMode} framing options, as
+   *                         in getSpectrogram in features.js
    * @returns Promise that resolves to the spectrogram
    */
-  getSpectrogram(win, hop, useDb) {
+  getSpectrogram(win, hop, useDb, options) {
     if (useDb === undefined) {
       useDb = false;
     }
-    return getSpectrogram(this.samples, win, hop, useDb);
+    return getSpectrogram(this.samples, win, hop, useDb, options);
+  }
+
+  /**
+   * Compute a set of frame-level features for the current audio samples,
+   * sharing one spectrogram between all of the spectral features
+   * @param {array} names Names of the features to compute, out of "centroid",
+   *                      "rolloff", "bandwidth", "flatness", "crest", "flux",
+   *                      "contrast", "zcr", and "rms"
+   * @param {object} options {win, hop, window, center, padMode, useHz, 
+   *                         rolloffFraction, nBands, fmin, quantile}, as in
+   *                         getFeatures in features.js
+   * @returns Promise that resolves to an object of features, keyed by name
+   */
+  getFeatures(names, options) {
+    return getFeatures(this.samples, this.sr, names, options);
+  }
+
+  /**
+   * Compute the complex short-time Fourier transform of the current audio samples
+   * @param {int} win Window length (assumed to be a power of 2)
+   * @param {int} hop Hop length
+   * @returns Promise that resolves to the {re, im} STFT
+   */
+  getSTFT(win, hop) {
+    return getSTFT(this.samples, win, hop);
+  }
+
+  /**
+   * Set the audio samples by inverting a complex short-time Fourier transform,
+   * keeping the current sample rate
+   * @param {object} S {'re', 'im'} STFT, as returned from getSTFT
+   * @param {int} win Window length
+   * @param {int} hop Hop length
+   */
+  setSamplesSTFT(S, win, hop) {
+    this.setSamples(getISTFT(S, win, hop, this.samples.length), this.sr);
+  }
+
+  /**
+   * Separate the audio into harmonic and percussive components by median 
+   * filtering its STFT.  Each component can be loaded into a new SampledAudio
+   * object with setSamples
+   * @param {int} win Window length (assumed to be a power of 2)
+   * @param {int} hop Hop length
+   * @param {object} options {harmonicKernel, percussiveKernel, mask, power, 
+   *                         margin, residual}, as in getHPSS in hpss.js
+   * @returns Promise that resolves to the {harmonic, percussive, residual} samples
+   */
+  getHPSS(win, hop, options) {
+    return getHPSS(this.samples, win, hop, options);
+  }
+
+  /**
+   * Factor the magnitude spectrogram of the audio into spectral templates and
+   * their activations over time with non-negative matrix factorization.  The
+   * frames line up with getSTFT, so components can be turned back into audio
+   * with getNMFComponentAudio in nmf.js
+   * @param {int} win Window length (assumed to be a power of 2)
+   * @param {int} hop Hop length
+   * @param {int} R Number of components
+   * @param {object} options {nIters, loss, W, fixW, sparsity, onProgress},
+   *                         as in getNMF in nmf.js
+   * @returns Promise that resolves to the {W, H} factorization
+   */
+  getNMF(win, hop, R, options) {
+    const framing = {"window":"hann", "center":true, "padMode":"constant"};
+    return getSpectrogram(this.samples, win, hop, false, framing).then(V => {
+      return getNMF(V, R, options);
+    });
+  }
+
+  /**
+   * Make a copy of this audio that plays at a different speed, but at the
+   * same pitch, using a phase vocoder
+   * @param {float} rate Speed factor.  Rates above 1 speed the audio up, and
+   *                     rates below 1 slow it down
+   * @param {int} win Window length (assumed to be a power of 2, default 2048)
+   * @param {int} hop Hop length (default win/4)
+   * @returns Promise that resolves to a new SampledAudio object with the
+   *          stretched audio
+   */
+  timeStretch(rate, win, hop) {
+    const that = this;
+    return getTimeStretch(this.samples, rate, win, hop).then(y => {
+      let audio = new SampledAudio();
+      audio.setSamples(y, that.sr);
+      return audio;
+    });
+  }
+
+  /**
+   * Make a copy of this audio that plays at a different pitch, but at the
+   * same speed, using a phase vocoder
+   * @param {float} semitones Number of halfsteps by which to shift the pitch
+   * @param {int} win Window length (assumed to be a power of 2, default 2048)
+   * @param {int} hop Hop length (default win/4)
+   * @returns Promise that resolves to a new SampledAudio object with the
+   *          shifted audio
+   */
+  pitchShift(semitones, win, hop) {
+    const that = this;
+    return getPitchShift(this.samples, semitones, win, hop).then(y => {
+      let audio = new SampledAudio();
+      audio.setSamples(y, that.sr);
+      return audio;
+    });
+  }
+
+  /**
+   * Convert the audio to a new sample rate in place, so that analysis
+   * can happen at a fixed rate regardless of the source
+   * @param {int} targetSr The new sample rate, in hz
+   * @param {string} quality "low", "medium", or "high" (default "high")
+   */
+  resample(targetSr, quality) {
+    if (targetSr != this.sr) {
+      const channel = this.analysisChannel;
+      const channels = this.channels.map(x => resample(x, this.sr, targetSr, quality));
+      this.setChannels(channels, targetSr);
+      this.selectChannel(channel);
+    }
+  }
+
+  /**
+   * Measure the loudness of all of the channels of the audio
+   * @param {object} options {channelWeights, truePeak}, as in getLoudness
+   *                         in loudness.js
+   * @returns {momentary, shortTerm, integrated, range, truePeak} loudness
+   *          measurements, as in getLoudness in loudness.js
+   */
+  getLoudness(options) {
+    return getLoudness(this.channels, this.sr, options);
+  }
+
+  /**
+   * Compute the peak pair fingerprint of the audio
+   * @param {object} options Fingerprinting parameters, as in FINGERPRINT_DEFAULTS
+   *                         in fingerprint.js
+   * @returns Promise that resolves to the {hashes, times} of the fingerprint
+   */
+  getFingerprint(options) {
+    return getFingerprint(this.samples, this.sr, options);
+  }
+
+  /**
+   * Compute mel-frequency cepstral coefficients for the current audio samples
+   * @param {int} win Window length (assumed to be even)
+   * @param {int} hop Hop length
+   * @param {int} nCoeffs Number of cepstral coefficients to keep (default 20)
+   * @param {int} nBins Number of mel bins (default 40)
+   * @param {float} lifter Sinusoidal liftering parameter (default 0)
+   * @param {int} deltaOrder 0 for just the coefficients, 1 to append the deltas,
+   *                         and 2 to append deltas and delta-deltas (default 0)
+   * @returns Promise that resolves to the MFCCs
+   */
+  getMFCC(win, hop, nCoeffs, nBins, lifter, deltaOrder) {
+    return getMFCC(this.samples, this.sr, win, hop, nCoeffs, nBins, lifter, deltaOrder);
+  }
+
+  /**
+   * Compute the chromagram for the current audio samples
+   * @param {int} win Window length (assumed to be even)
+   * @param {int} hop Hop length
+   * @param {float} tuning Frequency of A4, in hz (default 440)
+   * @param {int} minOctave Lowest octave to include (default 1)
+   * @param {int} maxOctave Highest octave to include (default 8)
+   * @param {boolean} useCQT If true, fold a constant-Q transform instead of the
+   *                         spectrogram (default false)
+   * @returns Promise that resolves to the N x 12 chromagram
+   */
+  getChroma(win, hop, tuning, minOctave, maxOctave, useCQT) {
+    return getChroma(this.samples, this.sr, win, hop, tuning, minOctave, maxOctave, useCQT);
+  }
+
+  /**
+   * Plot the chromagram of the audio as a heatmap using plotly
+   *
+   * @param {string} plotName name of plotting element
+   * @param {int} win Window length (assumed to be even)
+   * @param {int} hop Hop length
+   * @param {float} tuning Frequency of A4, in hz (default 440)
+   * @param {int} minOctave Lowest octave to include (default 1)
+   * @param {int} maxOctave Highest octave to include (default 8)
+   * @param {boolean} useCQT If true, fold a constant-Q transform instead of the
+   *                         spectrogram (default false)
+   * @returns Promise that resolves once the chromagram has been plotted
+   */
+  plotChroma(plotName, win, hop, tuning, minOctave, maxOctave, useCQT) {
+    const that = this;
+    return this.getChroma(win, hop, tuning, minOctave, maxOctave, useCQT).then(C => {
+      let xs = [];
+      let zs = [];
+      for (let i = 0; i < C.length; i++) {
+        xs.push(i*hop/that.sr);
+      }
+      for (let j = 0; j < 12; j++) {
+        let row = [];
+        for (let i = 0; i < C.length; i++) {
+          row.push(C[i][j]);
+        }
+        zs.push(row);
+      }
+      let plot = {x:xs, y:CHROMA_NAMES, z:zs, type:"heatmap"};
+      let layout = {title:"Chromagram",
+                    xaxis:{title:"Time (Seconds)"},
+                    autosize: false,
+                    width: 800,
+                    height: 400};
+      Plotly.newPlot(plotName, [plot], layout);
+    });
   }
 
   /**
    * Compute a basic audio novelty function based on a spectrogram
    * @param {int} win Window length (assumed to be even)
    * @param {int} hop Hop length
-   
+   * @param {object} options {window, center, padMode} framing options, as
+   *                         in getSpectrogram in features.js
    * @returns A promise that resolves to the {S: spectrogram, novfn:audio novelty function}
    */
-  getNovfn(win, hop) {
-    return getNovfn(this.samples, win, hop);
+  getNovfn(win, hop, options) {
+    return getNovfn(this.samples, win, hop, options);
   }
 
   /**
@@ -329,14 +677,83 @@ class SampledAudio {
             Sebastian Boeck, Gerhard Widmer, DAFX 2013
    * @param {int} win Window length between frames in the stft
    * @param {int} hop Hop length between frames in the stft
-   * @param {int} maxWin Amount by which to apply a maximum filter (default 3)
-   * @param {int} mu The gap between windows to compare (default 1)
-   * @param {int} Gamma An offset to add to the log spectrogram; log10(|S| + Gamma) (default 10)
+   * @param {int} maxWin Width, in filterbank bins, of the maximum filter that
+   *                     suppresses vibrato (default 3)
+   * @param {int} mu The gap between windows to compare (default 3)
+   * @param {int} Gamma An offset to add to the log spectrogram; log10(|S| + Gamma) (default 1)
+   * @param {boolean} useCQT If true, use a constant-Q transform in place of the
+   *                         mel filtered spectrogram (default false)
+   * @param {object} options {window, center, padMode} framing options and
+   *                         {minFreq, maxFreq, nBins, binsPerOctave} filterbank
+   *                         options, as in getSuperfluxNovfn in features.js
    * 
    * @returns A promise that resolves to the {S: spectrogram, novfn:audio novelty function}
    */
-  getSuperfluxNovfn(win, hop, maxWin, mu, Gamma) {
-    return getSuperfluxNovfn(this.samples, this.sr, win, hop, maxWin, mu, Gamma);
+  getSuperfluxNovfn(win, hop, maxWin, mu, Gamma, useCQT, options) {
+    return getSuperfluxNovfn(this.samples, this.sr, win, hop, maxWin, mu, Gamma, useCQT, options);
+  }
+
+  /**
+   * Compute a spectral flux novelty function in each of a set of frequency
+   * bands, along with a weighted combination of them
+   * @param {int} win Window length between frames in the stft
+   * @param {int} hop Hop length between frames in the stft
+   * @param {object} options {bands, melGroups, weights, Gamma} and framing 
+   *                         options, as in getMultibandNovfn in features.js
+   * @returns A promise that resolves to the {S, bands, novfn} novelty functions
+   */
+  getMultibandNovfn(win, hop, options) {
+    return getMultibandNovfn(this.samples, this.sr, win, hop, options);
+  }
+
+  /**
+   * Compute an audio novelty function with a choice of detectors
+   * @param {object} options {method, win, hop, ...}, as in computeNovelty
+   *                         in features.js
+   * @returns A promise that resolves to the {S: spectrogram, novfn:audio novelty function}
+   */
+  computeNovelty(options) {
+    return computeNovelty(this.samples, this.sr, options);
+  }
+
+  /**
+   * Detect onsets in the audio by picking peaks out of the superflux 
+   * novelty function, computed on centered Hann windowed frames
+   * @param {int} win Window length between frames in the stft
+   * @param {int} hop Hop length between frames in the stft
+   * @param {object} options Peak picking options {preMax, postMax, preAvg, 
+   *                         postAvg, delta, wait}, as in getOnsets in 
+   *                         features.js, and 'backtrack', which, if true,
+   *                         moves onsets back to minima of the RMS energy
+   * @returns A promise that resolves to the {frames, times, samples} onsets
+   */
+  getOnsets(win, hop, options) {
+    if (options === undefined) {
+      options = {};
+    }
+    const that = this;
+    const mu = 1;
+    const framing = {"window":"hann", "center":true};
+    return this.getSuperfluxNovfn(win, hop, undefined, mu, undefined, false, framing).then(res => {
+      let opts = Object.assign({"offset":mu}, options);
+      if (options.backtrack) {
+        opts.energy = getRMS(that.samples, win, hop, framing);
+      }
+      return getOnsets(res.novfn, hop, that.sr, opts);
+    });
+  }
+
+  /**
+   * Compute the magnitude constant-Q transform of the current audio samples
+   * @param {int} hop Hop length
+   * @param {float} minFreq Frequency of the lowest bin, in hz (default 32.7)
+   * @param {int} binsPerOctave Number of bins in each octave (default 12)
+   * @param {int} nOctaves Number of octaves (default 7)
+   * @param {boolean} useDb If true, use dB.  If false, use amplitude
+   * @returns Promise that resolves to the constant-Q transform
+   */
+  getConstantQ(hop, minFreq, binsPerOctave, nOctaves, useDb) {
+    return getConstantQ(this.samples, this.sr, hop, minFreq, binsPerOctave, nOctaves, useDb);
   }
 
 }
\ No newline at end of file
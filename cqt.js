@@ -0,0 +1,187 @@
+/**  Constant-Q Transform, computed one octave at a time on successively
+ *   downsampled audio, as described in [1]
+ *   [1] "Constant-Q Transform Toolbox for Music Processing." Christian
+ *          Schoerkhuber, Anssi Klapuri. SMC 2010
+ */
+
+/**
+ * Lowpass filter a signal to half of its Nyquist rate and keep every
+ * other sample
+ * @param {array} x Signal to decimate
+ * @param {int} taps Half of the length of the windowed sinc filter (default 32)
+ *
+ * @return A Float32Array with the decimated signal
+ */
+function decimateByTwo(x, taps) {
+  if (taps === undefined) {
+    taps = 32;
+  }
+  // Hann-windowed sinc with a cutoff at a quarter of the sample rate
+  let h = new Float32Array(2*taps+1);
+  let hsum = 0;
+  for (let i = -taps; i <= taps; i++) {
+    let sinc = 0.5;
+    if (i != 0) {
+      sinc = Math.sin(Math.PI*i/2)/(Math.PI*i);
+    }
+    h[i+taps] = sinc*0.5*(1 + Math.cos(Math.PI*i/(taps+1)));
+    hsum += h[i+taps];
+  }
+  let y = new Float32Array(Math.ceil(x.length/2));
+  for (let i = 0; i < y.length; i++) {
+    let c = i*2;
+    let val = 0;
+    for (let j = -taps; j <= taps; j++) {
+      if (c+j >= 0 && c+j < x.length) {
+        val += h[j+taps]*x[c+j];
+      }
+    }
+    y[i] = val/hsum;
+  }
+  return y;
+}
+
+/**
+ * Compute the center frequencies of each constant-Q bin
+ * @param {float} minFreq Frequency of the lowest bin, in hz
+ * @param {int} binsPerOctave Number of bins in each octave
+ * @param {int} nOctaves Number of octaves
+ *
+ * @return A Float32Array with binsPerOctave*nOctaves frequencies
+ */
+function getCQTFrequencies(minFreq, binsPerOctave, nOctaves) {
+  let freqs = new Float32Array(binsPerOctave*nOctaves);
+  for (let k = 0; k < freqs.length; k++) {
+    freqs[k] = minFreq*Math.pow(2, k/binsPerOctave);
+  }
+  return freqs;
+}
+
+/**
+ * Compute the sparse spectral kernel for the top octave of a
+ * constant-Q transform, as in Brown and Puckette
+ * @param {int} sr The sample rate, in hz
+ * @param {float} minFreq Frequency of the lowest bin in the octave, in hz
+ * @param {int} binsPerOctave Number of bins in the octave
+ * @param {float} thresh Kernel values below this magnitude are dropped
+ *
+ * @return {
+ *  'fftLen': Length of the FFT on which the kernel is applied,
+ *  'bins': An array of binsPerOctave {'idx', 're', 'im'} sparse
+ *          frequency domain kernels
+ * }
+ */
+function getCQTKernel(sr, minFreq, binsPerOctave, thresh) {
+  if (thresh === undefined) {
+    thresh = 0.0054;
+  }
+  const Q = 1/(Math.pow(2, 1/binsPerOctave) - 1);
+  const fftLen = Math.pow(2, Math.ceil(Math.log2(Q*sr/minFreq)));
+  const fft = new FFTJS(fftLen);
+  let bins = [];
+  for (let k = 0; k < binsPerOctave; k++) {
+    const freq = minFreq*Math.pow(2, k/binsPerOctave);
+    const N = Math.ceil(Q*sr/freq);
+    // Windowed complex exponential, centered in the FFT frame
+    let x = fft.createComplexArray();
+    const start = Math.floor((fftLen-N)/2);
+    for (let n = 0; n < N; n++) {
+      const w = 0.5*(1 - Math.cos(2*Math.PI*n/N))/N;
+      x[(start+n)*2] = w*Math.cos(2*Math.PI*Q*n/N);
+      x[(start+n)*2+1] = w*Math.sin(2*Math.PI*Q*n/N);
+    }
+    let s = fft.createComplexArray();
+    fft.transform(s, x);
+    let kernel = {"idx":[], "re":[], "im":[]};
+    for (let j = 0; j <= fftLen/2; j++) {
+      if (Math.sqrt(s[j*2]*s[j*2] + s[j*2+1]*s[j*2+1]) > thresh) {
+        // Store the conjugate, scaled for Parseval's theorem
+        kernel.idx.push(j);
+        kernel.re.push(s[j*2]/fftLen);
+        kernel.im.push(-s[j*2+1]/fftLen);
+      }
+    }
+    bins.push(kernel);
+  }
+  return {"fftLen":fftLen, "bins":bins};
+}
+
+/**
+ * Compute the magnitude constant-Q transform of a set of audio samples.
+ * Frame i is centered on sample i*hop, with zeros outside of the audio
+ * @param {array} samples Audio samples
+ * @param {int} sr The sample rate, in hz
+ * @param {int} hop Hop length.  This should be divisible by 2^(nOctaves-1)
+ *                  so that every octave is sampled at the same times
+ * @param {float} minFreq Frequency of the lowest bin, in hz (default 32.7, or C1)
+ * @param {int} binsPerOctave Number of bins in each octave (default 12)
+ * @param {int} nOctaves Number of octaves (default 7)
+ * @param {boolean} useDb Whether to use dB (default false)
+ * @returns A promise that resolves to an N x (binsPerOctave*nOctaves) array,
+ *          in the same layout as getSpectrogram, with bins in increasing order
+ *          of frequency
+ */
+function getConstantQ(samples, sr, hop, minFreq, binsPerOctave, nOctaves, useDb) {
+  if (minFreq === undefined) {
+    minFreq = 32.7;
+  }
+  if (binsPerOctave === undefined) {
+    binsPerOctave = 12;
+  }
+  if (nOctaves === undefined) {
+    nOctaves = 7;
+  }
+  return new Promise(resolve => {
+    const nBins = binsPerOctave*nOctaves;
+    const W = Math.floor(samples.length/hop) + 1;
+    let C = [];
+    for (let i = 0; i < W; i++) {
+      C.push(new Float32Array(nBins));
+    }
+    // The same kernel works for every octave, since each octave down
+    // is computed at half of the sample rate of the one above it
+    const topFreq = minFreq*Math.pow(2, nOctaves-1);
+    const kernel = getCQTKernel(sr, topFreq, binsPerOctave);
+    const fftLen = kernel.fftLen;
+    const fft = new FFTJS(fftLen);
+    let x = new Float32Array(samples);
+    for (let o = 0; o < nOctaves; o++) {
+      const fac = Math.pow(2, o);
+      const offset = (nOctaves-1-o)*binsPerOctave;
+      let frame = new Float32Array(fftLen);
+      let s = fft.createComplexArray();
+      for (let i = 0; i < W; i++) {
+        const c = Math.round(i*hop/fac) - fftLen/2;
+        for (let n = 0; n < fftLen; n++) {
+          if (c+n >= 0 && c+n < x.length) {
+            frame[n] = x[c+n];
+          }
+          else {
+            frame[n] = 0;
+          }
+        }
+        fft.realTransform(s, frame);
+        for (let k = 0; k < binsPerOctave; k++) {
+          const b = kernel.bins[k];
+          let re = 0;
+          let im = 0;
+          for (let j = 0; j < b.idx.length; j++) {
+            const sre = s[b.idx[j]*2];
+            const sim = s[b.idx[j]*2+1];
+            re += sre*b.re[j] - sim*b.im[j];
+            im += sre*b.im[j] + sim*b.re[j];
+          }
+          let mag = Math.sqrt(re*re + im*im);
+          if (useDb) {
+            mag = 20*Math.log10(mag);
+          }
+          C[i][offset+k] = mag;
+        }
+      }
+      if (o < nOctaves-1) {
+        x = decimateByTwo(x);
+      }
+    }
+    resolve(C);
+  });
+}
@@ -0,0 +1,257 @@
+/**  Dynamic time warping to align two sequences of features, as described in [1]
+ *   [1] "Fundamentals of Music Processing," Chapter 3.2 and 7.2. Meinard Mueller.
+ *          Springer 2015
+ */
+
+/**
+ * Step sizes and weights for each type of warping path.  Each step is
+ * [frames in the first sequence, frames in the second sequence, weight]
+ */
+const DTW_STEPS = {
+  // Any monotonic path, including horizontal and vertical runs
+  "standard":[[1, 1, 1], [1, 0, 1], [0, 1, 1]],
+  // Slopes between 1/2 and 2, so neither sequence can be held still
+  "restricted":[[1, 1, 1], [2, 1, 1], [1, 2, 1]]
+};
+
+/**
+ * Compute the Euclidean norm of each frame of a feature matrix
+ * @param {2D Array} Z An N x d array of features
+ *
+ * @return An array of N norms
+ */
+function getFrameNorms(Z) {
+  return Z.map(Zi => {
+    let norm = 0;
+    for (let k = 0; k < Zi.length; k++) {
+      norm += Zi[k]*Zi[k];
+    }
+    return Math.sqrt(norm);
+  });
+}
+
+/**
+ * Compute the distance between two frames of features
+ * @param {array} x The first frame
+ * @param {array} y The second frame
+ * @param {float} normX Euclidean norm of x
+ * @param {float} normY Euclidean norm of y
+ * @param {string} metric "cosine" or "euclidean", as in getCostMatrix
+ */
+function getFrameDistance(x, y, normX, normY, metric) {
+  let dot = 0;
+  for (let k = 0; k < x.length; k++) {
+    dot += x[k]*y[k];
+  }
+  if (metric == "cosine") {
+    if (normX > 0 && normY > 0) {
+      return 1 - dot/(normX*normY);
+    }
+    return 1;
+  }
+  return Math.sqrt(Math.max(0, normX*normX + normY*normY - 2*dot));
+}
+
+/**
+ * Compute the distance between every frame of one feature matrix and
+ * every frame of another
+ * @param {2D Array} X An N x d array of features from features.js (e.g. a
+ *                     chromagram or MFCCs)
+ * @param {2D Array} Y An M x d array of the same features
+ * @param {string} metric "cosine" for one minus the cosine similarity, or
+ *                        "euclidean" for the Euclidean distance (default "cosine")
+ *
+ * @return An N x M array of distances
+ */
+function getCostMatrix(X, Y, metric) {
+  if (metric === undefined) {
+    metric = "cosine";
+  }
+  if (!(metric == "cosine" || metric == "euclidean")) {
+    throw new Error("Unknown distance metric " + metric);
+  }
+  const normsX = getFrameNorms(X);
+  const normsY = getFrameNorms(Y);
+  let C = [];
+  for (let i = 0; i < X.length; i++) {
+    let Ci = new Float32Array(Y.length);
+    for (let j = 0; j < Y.length; j++) {
+      Ci[j] = getFrameDistance(X[i], Y[j], normsX[i], normsY[j], metric);
+    }
+    C.push(Ci);
+  }
+  return C;
+}
+
+/**
+ * Find the cheapest warping path between two sequences of features
+ * @param {2D Array} X An N x d array of features from features.js
+ * @param {2D Array} Y An M x d array of the same features
+ * @param {object} options {
+ *  'metric': "cosine" or "euclidean", as in getCostMatrix (default "cosine"),
+ *  'steps': "standard" or "restricted", as in DTW_STEPS, or an array of
+ *           [di, dj, weight] steps (default "standard"),
+ *  'band': Radius, in frames of Y, of a Sakoe-Chiba band around the diagonal
+ *          outside of which the path can't go.  Only the costs inside the band
+ *          are computed and stored (default Infinity),
+ *  'subsequence': If true, find the part of Y that best matches all of X,
+ *                 e.g. to find an excerpt in a full recording.  The band
+ *                 isn't used in this case (default false)
+ * }
+ *
+ * @return {
+ *  'path': An array of [i, j] pairs of matched frames, from the start of the
+ *          path to its end, where i indexes X and j indexes Y,
+ *  'cost': The accumulated cost of the path
+ * }
+ */
+function getDTW(X, Y, options) {
+  options = Object.assign({"metric":"cosine", "steps":"standard", "band":Infinity,
+                           "subsequence":false}, options);
+  let steps = options.steps;
+  if (typeof steps == "string") {
+    if (!(steps in DTW_STEPS)) {
+      throw new Error("Unknown DTW steps " + steps);
+    }
+    steps = DTW_STEPS[steps];
+  }
+  if (!(options.metric == "cosine" || options.metric == "euclidean")) {
+    throw new Error("Unknown distance metric " + options.metric);
+  }
+  const N = X.length;
+  const M = Y.length;
+  const normsX = getFrameNorms(X);
+  const normsY = getFrameNorms(Y);
+  const slope = (M-1)/Math.max(1, N-1);
+  // Step 1: Accumulate costs, remembering the best step into each cell.
+  // Row i only stores columns starts[i] through starts[i]+D[i].length-1,
+  // which are the ones inside the band
+  let D = [];
+  let B = [];
+  let starts = new Int32Array(N);
+  const getD = (i, j) => {
+    j -= starts[i];
+    return j >= 0 && j < D[i].length ? D[i][j] : Infinity;
+  };
+  for (let i = 0; i < N; i++) {
+    let j1 = 0;
+    let j2 = M-1;
+    if (!options.subsequence) {
+      j1 = Math.max(j1, Math.ceil(i*slope - options.band));
+      j2 = Math.min(j2, Math.floor(i*slope + options.band));
+    }
+    starts[i] = j1;
+    D.push(new Float32Array(Math.max(0, j2-j1+1)).fill(Infinity));
+    B.push(new Uint8Array(D[i].length));
+    for (let j = j1; j <= j2; j++) {
+      const c = getFrameDistance(X[i], Y[j], normsX[i], normsY[j], options.metric);
+      if (i == 0 && (j == 0 || options.subsequence)) {
+        D[i][j-j1] = c;
+        continue;
+      }
+      for (let s = 0; s < steps.length; s++) {
+        const [di, dj, w] = steps[s];
+        if (i-di >= 0 && j-dj >= 0) {
+          const cost = getD(i-di, j-dj) + w*c;
+          if (cost < D[i][j-j1]) {
+            D[i][j-j1] = cost;
+            B[i][j-j1] = s;
+          }
+        }
+      }
+    }
+  }
+  // Step 2: Find where the path ends
+  let j = M-1;
+  if (options.subsequence) {
+    for (let k = 0; k < M; k++) {
+      if (D[N-1][k] < D[N-1][j]) {
+        j = k;
+      }
+    }
+  }
+  const cost = getD(N-1, j);
+  if (cost == Infinity) {
+    throw new Error("No warping path satisfies the steps and band");
+  }
+  // Step 3: Backtrack to the start of the path
+  let i = N-1;
+  let path = [[i, j]];
+  while (i > 0 || (j > 0 && !options.subsequence)) {
+    const [di, dj] = steps[B[i][j-starts[i]]];
+    i -= di;
+    j -= dj;
+    path.push([i, j]);
+  }
+  path.reverse();
+  return {"path":path, "cost":cost};
+}
+
+/**
+ * Turn a warping path into a map from each frame of one sequence to
+ * the frame of the other sequence that it's aligned to
+ * @param {array} path An array of [i, j] pairs, as returned from getDTW
+ * @param {boolean} fromSecond If true, map frames of the second sequence (j)
+ *                             to the first (i).  Otherwise, map frames of
+ *                             the first to the second (default false)
+ *
+ * @return A Float32Array whose index is a frame of the source sequence, and whose
+ *         value is the average frame of the target sequence aligned to it.
+ *         Multiply by hop/sr to convert the frames to seconds
+ */
+function getWarpingMap(path, fromSecond) {
+  const a = fromSecond ? 1 : 0;
+  const b = 1 - a;
+  const start = path[0][a];
+  let sums = new Float32Array(path[path.length-1][a] + 1);
+  let counts = new Float32Array(sums.length);
+  for (let p = 0; p < path.length; p++) {
+    sums[path[p][a]] += path[p][b];
+    counts[path[p][a]]++;
+  }
+  let last = start;
+  for (let i = 0; i < sums.length; i++) {
+    if (i < start) {
+      // Frames before the start of a subsequence path map to its start
+      sums[i] = path[0][b];
+    }
+    else if (counts[i] > 0) {
+      sums[i] /= counts[i];
+      // Interpolate over frames that steps longer than 1 skipped
+      for (let k = last+1; k < i; k++) {
+        sums[k] = sums[last] + (k-last)*(sums[i] - sums[last])/(i-last);
+      }
+      last = i;
+    }
+  }
+  return sums;
+}
+
+/**
+ * Transfer beat annotations from one recording to another that it's
+ * aligned to, by linearly interpolating the warping map
+ * @param {array} beats Beat locations in the source recording, in units of
+ *                      the hop length of its features
+ * @param {array} path An array of [i, j] pairs, as returned from getDTW
+ * @param {boolean} fromSecond If true, the beats are in the second sequence (j)
+ *                             and go to the first (i).  Otherwise, they go from
+ *                             the first to the second (default false)
+ *
+ * @return A Float32Array with the beat locations in the target recording, in
+ *         units of the hop length of its features
+ */
+function transferBeats(beats, path, fromSecond) {
+  const map = getWarpingMap(path, fromSecond);
+  let res = new Float32Array(beats.length);
+  for (let k = 0; k < beats.length; k++) {
+    const t = Math.min(Math.max(beats[k], 0), map.length-1);
+    const i = Math.min(Math.floor(t), map.length-2);
+    if (i < 0) {
+      res[k] = map[0];
+    }
+    else {
+      res[k] = map[i] + (t-i)*(map[i+1] - map[i]);
+    }
+  }
+  return res;
+}
@@ -70,37 +70,165 @@ function hannWindow(N) {
   return window;
 }
 
+/**
+ * Compute a generalized cosine window, sum_k (-1)^k a_k cos(2 pi k i/N)
+ * @param {int} N Length of window
+ * @param {array} a Cosine coefficients
+ * @returns Array with window
+ */
+function cosineSumWindow(N, a) {
+  let window = new Float32Array(N);
+  for (let i = 0; i < N; i++) {
+    let sign = 1;
+    for (let k = 0; k < a.length; k++) {
+      window[i] += sign*a[k]*Math.cos(2*Math.PI*k*i/N);
+      sign *= -1;
+    }
+  }
+  return window;
+}
+
+/**
+ * Compute an analysis window by name
+ * @param {string|array} window One of "hann", "hamming", "blackman", 
+ *                              "blackman-harris", or "rectangular", or
+ *                              an array of length N with a custom window
+ * @param {int} N Length of window
+ * @returns Array with window
+ */
+function getWindow(window, N) {
+  if (typeof window != "string") {
+    if (window.length != N) {
+      throw new Error("Custom window has length " + window.length + ", but expected " + N);
+    }
+    return new Float32Array(window);
+  }
+  switch (window) {
+    case "hann":
+      return hannWindow(N);
+    case "hamming":
+      return cosineSumWindow(N, [0.54, 0.46]);
+    case "blackman":
+      return cosineSumWindow(N, [0.42, 0.5, 0.08]);
+    case "blackman-harris":
+      return cosineSumWindow(N, [0.35875, 0.48829, 0.14128, 0.01168]);
+    case "rectangular":
+      return cosineSumWindow(N, [1]);
+  }
+  throw new Error("Unknown window type " + window);
+}
+
+/**
+ * Pad audio samples on both sides
+ * @param {array} samples Audio samples
+ * @param {int} pad Number of samples to add to each side
+ * @param {string} padMode "reflect" to mirror the samples about the endpoints,
+ *                         or "constant" to pad with zeros
+ * @returns A Float32Array with the padded samples
+ */
+function padSamples(samples, pad, padMode) {
+  const N = samples.length;
+  let x = new Float32Array(N+2*pad);
+  x.set(samples, pad);
+  if (padMode == "reflect" && N > 1) {
+    for (let i = 0; i < pad; i++) {
+      // Bounce back and forth for pads longer than the audio
+      let left = (i+1) % (2*N-2);
+      let right = (N-2-i) % (2*N-2);
+      if (right < 0) {
+        right += 2*N-2;
+      }
+      if (left >= N) {
+        left = 2*N-2-left;
+      }
+      if (right >= N) {
+        right = 2*N-2-right;
+      }
+      x[pad-1-i] = samples[left];
+      x[pad+N+i] = samples[right];
+    }
+  }
+  return x;
+}
+
 /**
  * Compute the spectrogram of a set of audio samples
  * @param {array} samples Audio samples
  * @param {int} win Window length
  * @param {int} hop hop length
  * @param {boolean} useDb Whether to use dB
+ * @param {object} options Framing options {
+ *  'window': Analysis window, as accepted by getWindow (default "rectangular"),
+ *  'center': If true, pad win/2 samples on either side so that frame i is
+ *            centered on sample i*hop.  Otherwise, frame i starts at sample
+ *            i*hop (default false),
+ *  'padMode': "reflect" or "constant" padding when centering (default "reflect")
+ * }
  * @returns promise that resolves to the specgrogram
  */
-function getSpectrogram(samples, win, hop, useDb) {
+function getSpectrogram(samples, win, hop, useDb, options) {
+  return getComplexSpectrogram(samples, win, hop, options).then(X => {
+    let S = [];
+    for (let i = 0; i < X.re.length; i++) {
+      let Si = new Float32Array(X.re[i].length);
+      for (let k = 0; k < Si.length; k++) {
+        Si[k] = X.re[i][k]*X.re[i][k] + X.im[i][k]*X.im[i][k];
+        if (useDb) {
+          Si[k] = 10*Math.log10(Si[k]);
+        }
+        else {
+          Si[k] = Math.sqrt(Si[k]);
+        }
+      }
+      S.push(Si);
+    }
+    return S;
+  });
+}
+
+/**
+ * Compute the complex spectrogram of a set of audio samples, which
+ * getSpectrogram and the detectors that need the phase are built on
+ * @param {array} samples Audio samples
+ * @param {int} win Window length
+ * @param {int} hop hop length
+ * @param {object} options Framing options {window, center, padMode}, as in getSpectrogram
+ * @returns A promise that resolves to {
+ *  're': An N x (win/2+1) array of the real parts,
+ *  'im': An N x (win/2+1) array of the imaginary parts
+ * }
+ */
+function getComplexSpectrogram(samples, win, hop, options) {
+  if (options === undefined) {
+    options = {};
+  }
+  const window = getWindow(options.window === undefined ? "rectangular" : options.window, win);
+  if (options.center) {
+    samples = padSamples(samples, win/2, options.padMode === undefined ? "reflect" : options.padMode);
+  }
   return new Promise(resolve => {
     let swin = win/2+1;
     const fft = new FFTJS(win);
     let W = Math.floor(1+(samples.length-win)/hop);
-    let S = [];
+    let re = [];
+    let im = [];
     for (let i = 0; i < W; i++) {
       let x = samples.slice(i*hop, i*hop+win);
+      for (let n = 0; n < win; n++) {
+        x[n] *= window[n];
+      }
       let s = fft.createComplexArray();
       fft.realTransform(s, x);
-      let Si = new Float32Array(swin);
+      let Rei = new Float32Array(swin);
+      let Imi = new Float32Array(swin);
       for (let k = 0; k < swin; k++) {
-        Si[k] = s[k*2]*s[k*2] + s[k*2+1]*s[k*2+1];
-        if (useDb) {
-          Si[k] = 10*Math.log10(Si[k]);
-        }
-        else {
-          Si[k] = Math.sqrt(Si[k]);
-        }
+        Rei[k] = s[k*2];
+        Imi[k] = s[k*2+1];
       }
-      S.push(Si);
+      re.push(Rei);
+      im.push(Imi);
     }
-    resolve(S);
+    resolve({"re":re, "im":im});
   });
 }
 
@@ -129,12 +257,12 @@ function getSpectrogramPower(S) {
  * @param {array} samples Audio samples
  * @param {int} win Window length
  * @param {int} hop hop length
- * @param {boolean} useDb Whether to use dB
+ * @param {object} options Framing options, as in getSpectrogram
  * @returns A promise that resolves to the {S: spectrogram, novfn:audio novelty function}
  */
-function getNovfn(samples, win, hop) {
+function getNovfn(samples, win, hop, options) {
   return new Promise(resolve => {
-    getSpectrogram(samples, win, hop, true).then(Sdb => {
+    getSpectrogram(samples, win, hop, true, options).then(Sdb => {
       let novfn = new Float32Array(Sdb.length-1);
       for (let i = 0; i < novfn.length; i++) {
         for (let k = 0; k < Sdb[i].length; k++) {
@@ -144,7 +272,7 @@ function getNovfn(samples, win, hop) {
           }
         }
       }
-      resolve({S:S, novfn:novfn});
+      resolve({S:Sdb, novfn:novfn});
     });
   });
 }
@@ -157,34 +285,99 @@ function getNovfn(samples, win, hop) {
  * @param {int} sr Audio sample rate
  * @param {int} win Window length between frames in the stft
  * @param {int} hop Hop length between frames in the stft
- * @param {int} maxWin Amount by which to apply a maximum filter (default 3)
- * @param {int} mu The gap between windows to compare (default 1)
- * @param {int} Gamma An offset to add to the log spectrogram; log10(|S| + Gamma) (default 10)
+ * @param {int} maxWin Width, in filterbank bins, of the maximum filter that is
+ *                     applied along frequency to the reference frame, which
+ *                     suppresses vibrato (default 3)
+ * @param {int} mu The gap between windows to compare, at least 1 (default 3)
+ * @param {int} Gamma An offset to add to the log spectrogram; log10(|S| + Gamma) (default 1)
+ * @param {boolean} useCQT If true, use a constant-Q transform (from cqt.js) in 
+ *                         place of the mel filtered spectrogram, scaled to the
+ *                         magnitudes of a spectrogram with window win (default false)
+ * @param {object} options Framing options for the spectrogram, as in getSpectrogram,
+ *                         except that the window defaults to "hann" as in [1], 
+ *                         along with filterbank options {
+ *  'minFreq': Frequency of the lowest filterbank bin, in hz (default 27.5),
+ *  'maxFreq': Frequency of the highest filterbank bin, in hz (default 16000, or
+ *             the Nyquist rate if that's lower),
+ *  'nBins': Number of mel bins (default 138),
+ *  'binsPerOctave': Number of constant-Q bins per octave if useCQT is true (default 24)
+ * }
  * @returns A promise that resolves to the {S: spectrogram, novfn:audio novelty function}
  */
-function getSuperfluxNovfn(samples, sr, win, hop, maxWin, mu, Gamma) {
+function getSuperfluxNovfn(samples, sr, win, hop, maxWin, mu, Gamma, useCQT, options) {
   if (maxWin === undefined) {
-    maxWin = 1;
+    maxWin = 3;
   }
   if (mu === undefined) {
     mu = 3;
   }
+  if (mu < 1) {
+    throw new Error("The gap between windows must be at least 1, but it is " + mu);
+  }
   if (Gamma === undefined) {
     Gamma = 1;
   }
+  if (options === undefined) {
+    options = {};
+  }
+  if (options.window === undefined) {
+    options = Object.assign({}, options, {"window":"hann"});
+  }
+  const minFreq = options.minFreq === undefined ? 27.5 : options.minFreq;
+  const maxFreq = Math.min(options.maxFreq === undefined ? 16000 : options.maxFreq, sr/2);
   return new Promise(resolve => {
-    getSpectrogram(samples, win, hop, false).then(S => {
-      let M = getMelFilterbank(win, sr, 27.5, Math.min(16000, sr/2), 138);
-      S = numeric.dot(S, M);
+    let SPromise = null;
+    if (useCQT) {
+      const binsPerOctave = options.binsPerOctave === undefined ? 24 : options.binsPerOctave;
+      const nOctaves = Math.floor(Math.log2(maxFreq/minFreq));
+      SPromise = getConstantQ(samples, sr, hop, minFreq, binsPerOctave, nOctaves, false).then(C => {
+        // The constant-Q kernels are normalized by their lengths, so scale
+        // by win to put a sinusoid at the same magnitude as in a Hann windowed
+        // spectrogram.  Otherwise, Gamma would swamp the log compression
+        for (let i = 0; i < C.length; i++) {
+          for (let j = 0; j < C[i].length; j++) {
+            C[i][j] *= win;
+          }
+        }
+        return C;
+      });
+    }
+    else {
+      const nBins = options.nBins === undefined ? 138 : options.nBins;
+      SPromise = getSpectrogram(samples, win, hop, false, options).then(S => {
+        if (S.length == 0) {
+          // Audio shorter than one window has no frames to filter
+          return S;
+        }
+        let M = getMelFilterbank(win, sr, minFreq, maxFreq, nBins);
+        return numeric.dot(S, M);
+      });
+    }
+    SPromise.then(S => {
       for (let i = 0; i < S.length; i++) {
         for (let j = 0; j < S[i].length; j++) {
           S[i][j] = Math.log10(S[i][j] + Gamma);
         }
       }
-      let novfn = new Float32Array(S.length-mu);
+      // Apply a maximum filter along frequency to each frame, so that
+      // energy which has only shifted slightly in frequency isn't counted
+      const r = Math.floor(maxWin/2);
+      let SMax = [];
+      for (let i = 0; i < S.length; i++) {
+        const K = S[i].length;
+        let SMaxi = new Float32Array(K);
+        for (let k = 0; k < K; k++) {
+          SMaxi[k] = S[i][k];
+          for (let j = Math.max(0, k-r); j <= Math.min(K-1, k+r); j++) {
+            SMaxi[k] = Math.max(SMaxi[k], S[i][j]);
+          }
+        }
+        SMax.push(SMaxi);
+      }
+      let novfn = new Float32Array(Math.max(0, S.length-mu));
       for (let i = 0; i < novfn.length; i++) {
         for (let k = 0; k < S[i].length; k++) {
-          let diff = S[i+mu][k] - S[i][k];
+          let diff = S[i+mu][k] - SMax[i][k];
           if (diff > 0) {
             novfn[i] += diff;
           }
@@ -195,6 +388,469 @@ function getSuperfluxNovfn(samples, sr, win, hop, maxWin, mu, Gamma) {
   });
 }
 
+/**
+ * Select onsets from a superflux novelty function with the peak picking 
+ * parameters in section 2.5 of [1]
+ * [1] "Maximum Filter Vibrato Suppresion for Onset Detection," 
+ *          Sebastian Boeck, Gerhard Widmer, DAFX 2013
+ * @param {array} novfn A novelty function, as returned from getSuperfluxNovfn.
+ *                     The default delta is only calibrated for the Hann
+ *                     windowed frames that getSuperfluxNovfn uses by default
+ * @param {int} hop Hop length, in audio samples, between the samples in novfn
+ * @param {int} sr Sample rate of the audio
+ * @param {int} mu The gap between windows that was used to compute novfn (default 3)
+ * @param {float} delta Offset above the moving average that an onset's novelty 
+ *                      must reach, in the units of novfn (default 1.1)
+ * @return The {frames, times, samples} onsets, as in getOnsets
+ */
+function getSuperfluxOnsets(novfn, hop, sr, mu, delta) {
+  if (mu === undefined) {
+    mu = 3;
+  }
+  if (delta === undefined) {
+    delta = 1.1;
+  }
+  const toFrames = t => Math.round(t*sr/hop);
+  let frames = pickPeaks(novfn, toFrames(0.03), toFrames(0.03), toFrames(0.1), 
+                         toFrames(0.07), delta, toFrames(0.03));
+  let times = [];
+  let samples = [];
+  for (let i = 0; i < frames.length; i++) {
+    frames[i] += mu;
+    times.push(frames[i]*hop/sr);
+    samples.push(frames[i]*hop);
+  }
+  return {"frames":frames, "times":times, "samples":samples};
+}
+
+/**
+ * Wrap a phase to the range [-pi, pi)
+ * @param {float} phase Phase, in radians
+ */
+function princarg(phase) {
+  return phase - 2*Math.PI*Math.floor((phase+Math.PI)/(2*Math.PI));
+}
+
+/**
+ * Compute the half-wave rectified difference between adjacent samples 
+ * of a per-frame function
+ * @param {array} x A function with N samples
+ * @return A Float32Array with N-1 samples
+ */
+function getRectifiedDiff(x) {
+  let res = new Float32Array(Math.max(0, x.length-1));
+  for (let i = 0; i < res.length; i++) {
+    res[i] = Math.max(0, x[i+1] - x[i]);
+  }
+  return res;
+}
+
+/**
+ * Compute a novelty function from the log energy of each frame
+ * @param {array} samples Audio samples
+ * @param {int} sr Audio sample rate
+ * @param {object} options {win, hop, window, center, padMode}
+ * @returns A promise that resolves to the {S: spectrogram, novfn:audio novelty function}
+ */
+function getEnergyNovfn(samples, sr, options) {
+  return getSpectrogram(samples, options.win, options.hop, false, options).then(S => {
+    let energy = getSpectrogramPower(S);
+    for (let i = 0; i < energy.length; i++) {
+      energy[i] = Math.log(1 + energy[i]);
+    }
+    return {S:S, novfn:getRectifiedDiff(energy)};
+  });
+}
+
+/**
+ * Compute the high frequency content novelty function [1], which weights 
+ * the power in each frequency bin by its index
+ * [1] "Computer Music Analysis." Paul Masri. PhD Thesis, University of Bristol, 1996
+ * @param {array} samples Audio samples
+ * @param {int} sr Audio sample rate
+ * @param {object} options {win, hop, window, center, padMode}
+ * @returns A promise that resolves to the {S: spectrogram, novfn:audio novelty function}
+ */
+function getHFCNovfn(samples, sr, options) {
+  return getSpectrogram(samples, options.win, options.hop, false, options).then(S => {
+    // Skip the first frame, as the differencing detectors do
+    let novfn = new Float32Array(Math.max(0, S.length-1));
+    for (let i = 0; i < novfn.length; i++) {
+      for (let k = 0; k < S[i+1].length; k++) {
+        novfn[i] += k*S[i+1][k]*S[i+1][k];
+      }
+    }
+    return {S:S, novfn:novfn};
+  });
+}
+
+/**
+ * Compute the L2 spectral flux novelty function; that is, the Euclidean
+ * norm of the half-wave rectified difference between adjacent frames
+ * @param {array} samples Audio samples
+ * @param {int} sr Audio sample rate
+ * @param {object} options {win, hop, window, center, padMode}
+ * @returns A promise that resolves to the {S: spectrogram, novfn:audio novelty function}
+ */
+function getFluxL2Novfn(samples, sr, options) {
+  return getSpectrogram(samples, options.win, options.hop, false, options).then(S => {
+    let novfn = new Float32Array(Math.max(0, S.length-1));
+    for (let i = 0; i < novfn.length; i++) {
+      for (let k = 0; k < S[i].length; k++) {
+        const diff = Math.max(0, S[i+1][k] - S[i][k]);
+        novfn[i] += diff*diff;
+      }
+      novfn[i] = Math.sqrt(novfn[i]);
+    }
+    return {S:S, novfn:novfn};
+  });
+}
+
+/**
+ * Compute a novelty function that measures how much each frame deviates
+ * from a steady state prediction based on the two frames before it
+ * [1] "A Tutorial on Onset Detection in Music Signals." Juan Pablo Bello et al.
+ *          IEEE Trans. Speech and Audio Processing, 2005
+ * [2] "Onset Detection Revisited." Simon Dixon. DAFX 2006
+ * @param {array} samples Audio samples
+ * @param {int} sr Audio sample rate
+ * @param {object} options {win, hop, window, center, padMode}
+ * @param {boolean} complex If true, measure the distance between the complex
+ *                          prediction and each frame [1].  Otherwise, measure
+ *                          the magnitude weighted phase deviation [2]
+ * @returns A promise that resolves to the {S: spectrogram, novfn:audio novelty function}
+ */
+function getPhaseNovfn(samples, sr, options, complex) {
+  return getComplexSpectrogram(samples, options.win, options.hop, options).then(X => {
+    const N = X.re.length;
+    let S = [];
+    let phase = [];
+    for (let i = 0; i < N; i++) {
+      let Si = new Float32Array(X.re[i].length);
+      let Pi = new Float32Array(X.re[i].length);
+      for (let k = 0; k < Si.length; k++) {
+        Si[k] = Math.sqrt(X.re[i][k]*X.re[i][k] + X.im[i][k]*X.im[i][k]);
+        Pi[k] = Math.atan2(X.im[i][k], X.re[i][k]);
+      }
+      S.push(Si);
+      phase.push(Pi);
+    }
+    // The first frame after the start has no prediction, so it is left at 0
+    let novfn = new Float32Array(Math.max(0, N-1));
+    for (let i = 1; i < novfn.length; i++) {
+      const n = i+1;
+      const K = S[n].length;
+      for (let k = 0; k < K; k++) {
+        // Extrapolate the phase from the previous two frames
+        const predicted = 2*phase[n-1][k] - phase[n-2][k];
+        if (complex) {
+          const re = S[n-1][k]*Math.cos(predicted);
+          const im = S[n-1][k]*Math.sin(predicted);
+          const dre = X.re[n][k] - re;
+          const dim = X.im[n][k] - im;
+          novfn[i] += Math.sqrt(dre*dre + dim*dim);
+        }
+        else {
+          novfn[i] += S[n][k]*Math.abs(princarg(phase[n][k] - predicted));
+        }
+      }
+      if (!complex) {
+        novfn[i] /= K;
+      }
+    }
+    return {S:S, novfn:novfn};
+  });
+}
+
+/**
+ * Compute a separate spectral flux novelty function in each of a set of
+ * frequency bands, so that, for instance, kick drums and hi-hats can be
+ * told apart, along with a weighted combination of them
+ * @param {array} samples Audio samples
+ * @param {int} sr Audio sample rate
+ * @param {int} win Window length between frames in the stft
+ * @param {int} hop Hop length between frames in the stft
+ * @param {object} options Framing options, as in getSpectrogram, along with {
+ *  'bands': An array of [minFreq, maxFreq) bands, in hz, which include the bin
+ *           at minFreq but not the bin at maxFreq
+ *           (default [[0, 200], [200, 2000], [2000, sr/2]]),
+ *  'melGroups': If given, ignore bands and instead split the 138 bin mel 
+ *               filterbank from getSuperfluxNovfn into this many groups of
+ *               adjacent bins,
+ *  'weights': Weight of each band in the combination (default all 1),
+ *  'Gamma': An offset to add to the log spectrogram; log10(|S| + Gamma) (default 1)
+ * }
+ * @returns A promise that resolves to {
+ *  'S': The log spectrogram (or log mel spectrogram),
+ *  'bands': An array with the novelty function of each band, each
+ *           normalized to a max of 1,
+ *  'novfn': The weighted sum of the band novelty functions
+ * }
+ */
+function getMultibandNovfn(samples, sr, win, hop, options) {
+  if (options === undefined) {
+    options = {};
+  }
+  const Gamma = options.Gamma === undefined ? 1 : options.Gamma;
+  return getSpectrogram(samples, win, hop, false, options).then(S => {
+    // Step 1: Figure out the range of bins in each band, as [start, end)
+    // so that adjacent bands don't share their boundary bin
+    let ranges = [];
+    if (options.melGroups === undefined) {
+      let bands = options.bands;
+      if (bands === undefined) {
+        bands = [[0, 200], [200, 2000], [2000, sr/2]];
+      }
+      for (let b = 0; b < bands.length; b++) {
+        const k1 = Math.min(win/2, Math.max(0, Math.round(bands[b][0]*win/sr)));
+        let k2 = Math.min(win/2, Math.round(bands[b][1]*win/sr));
+        if (bands[b][1] >= sr/2) {
+          // Include the Nyquist bin in the top band
+          k2 = win/2+1;
+        }
+        ranges.push([k1, Math.max(k1+1, k2)]);
+      }
+    }
+    else {
+      const nBins = 138;
+      S = numeric.dot(S, getMelFilterbank(win, sr, 27.5, Math.min(16000, sr/2), nBins));
+      for (let b = 0; b < options.melGroups; b++) {
+        const k1 = Math.round(b*nBins/options.melGroups);
+        const k2 = Math.round((b+1)*nBins/options.melGroups);
+        ranges.push([k1, Math.max(k1+1, k2)]);
+      }
+    }
+    let weights = options.weights;
+    if (weights === undefined) {
+      weights = ranges.map(() => 1);
+    }
+    // Step 2: Compute the spectral flux in each band
+    for (let i = 0; i < S.length; i++) {
+      for (let k = 0; k < S[i].length; k++) {
+        S[i][k] = Math.log10(S[i][k] + Gamma);
+      }
+    }
+    const N = Math.max(0, S.length-1);
+    let novfn = new Float32Array(N);
+    let bandNovfns = [];
+    for (let b = 0; b < ranges.length; b++) {
+      let nb = new Float32Array(N);
+      let max = 0;
+      for (let i = 0; i < N; i++) {
+        for (let k = ranges[b][0]; k < ranges[b][1]; k++) {
+          nb[i] += Math.max(0, S[i+1][k] - S[i][k]);
+        }
+        max = Math.max(max, nb[i]);
+      }
+      for (let i = 0; i < N; i++) {
+        if (max > 0) {
+          nb[i] /= max;
+        }
+        novfn[i] += weights[b]*nb[i];
+      }
+      bandNovfns.push(nb);
+    }
+    return {S:S, bands:bandNovfns, novfn:novfn};
+  });
+}
+
+/**
+ * Novelty functions that computeNovelty can choose from.  Each one takes
+ * the audio samples, the sample rate, and an options object, and returns
+ * a promise that resolves to {S: spectrogram, novfn:audio novelty function}.
+ * For N spectrogram frames, every novfn has N-1 samples, and novfn[i] is the
+ * novelty of frame i+1.  New detectors should keep to this convention
+ */
+const NOVELTY_FUNCTIONS = {
+  "spectral": (samples, sr, options) => getNovfn(samples, options.win, options.hop, options),
+  "superflux": (samples, sr, options) => getSuperfluxNovfn(samples, sr, options.win, options.hop,
+                                                           options.maxWin, options.mu, options.Gamma,
+                                                           options.useCQT, options).then(res => {
+    // novfn[i] is the novelty of frame i+mu, so shift it to frame i+1
+    const mu = options.mu === undefined ? 3 : options.mu;
+    let novfn = new Float32Array(Math.max(0, res.S.length-1));
+    if (mu-1 < novfn.length) {
+      novfn.set(res.novfn.subarray(0, novfn.length-mu+1), mu-1);
+    }
+    return {S:res.S, novfn:novfn};
+  }),
+  "energy": getEnergyNovfn,
+  "hfc": getHFCNovfn,
+  "phase": (samples, sr, options) => getPhaseNovfn(samples, sr, options, false),
+  "complex": (samples, sr, options) => getPhaseNovfn(samples, sr, options, true),
+  "flux-l2": getFluxL2Novfn,
+  "multiband": (samples, sr, options) => getMultibandNovfn(samples, sr, options.win, options.hop, options)
+};
+
+/**
+ * Compute an audio novelty function with one of the detectors in NOVELTY_FUNCTIONS
+ * @param {array} samples Audio samples
+ * @param {int} sr Audio sample rate
+ * @param {object} options {
+ *  'method': One of "spectral", "superflux", "energy", "hfc", "phase", 
+ *            "complex", "flux-l2", or "multiband" (default "superflux"),
+ *  'win': Window length (default 2048),
+ *  'hop': Hop length (default 512),
+ *  'window', 'center', 'padMode': Framing options, as in getSpectrogram,
+ *  'maxWin', 'mu', 'Gamma', 'useCQT', and filterbank options for superflux,
+ *  'bands', 'melGroups', 'weights', and 'Gamma' for multiband
+ * }
+ * @returns A promise that resolves to the {S: spectrogram, novfn:audio novelty function},
+ *          where novfn[i] is the novelty of frame i+1, starting at sample (i+1)*hop
+ *          (or centered on it if options.center is true)
+ */
+function computeNovelty(samples, sr, options) {
+  options = Object.assign({"method":"superflux", "win":2048, "hop":512}, options);
+  if (!(options.method in NOVELTY_FUNCTIONS)) {
+    throw new Error("Unknown novelty function " + options.method);
+  }
+  return NOVELTY_FUNCTIONS[options.method](samples, sr, options);
+}
+
+/**
+ * Pick peaks out of a novelty function with an adaptive threshold.  A sample
+ * is a peak if it is the max of its neighborhood, it exceeds the moving 
+ * average of its neighborhood by delta, and it comes long enough after the
+ * previous peak
+ * @param {array} novfn A novelty function
+ * @param {int} preMax Number of samples before each peak to include in the 
+ *                     max neighborhood
+ * @param {int} postMax Number of samples after each peak to include in the
+ *                      max neighborhood
+ * @param {int} preAvg Number of samples before each peak to include in the
+ *                     moving average
+ * @param {int} postAvg Number of samples after each peak to include in the
+ *                      moving average
+ * @param {float} delta Offset above the moving average that a peak must reach
+ * @param {int} wait Minimum number of samples between adjacent peaks
+ * 
+ * @return An array of indices of the peaks
+ */
+function pickPeaks(novfn, preMax, postMax, preAvg, postAvg, delta, wait) {
+  const N = novfn.length;
+  let peaks = [];
+  let last = -Infinity;
+  for (let i = 0; i < N; i++) {
+    let isMax = true;
+    for (let j = Math.max(0, i-preMax); j <= Math.min(N-1, i+postMax) && isMax; j++) {
+      if (novfn[j] > novfn[i]) {
+        isMax = false;
+      }
+    }
+    if (!isMax) {
+      continue;
+    }
+    let avg = 0;
+    const j1 = Math.max(0, i-preAvg);
+    const j2 = Math.min(N-1, i+postAvg);
+    for (let j = j1; j <= j2; j++) {
+      avg += novfn[j];
+    }
+    avg /= (j2-j1+1);
+    if (novfn[i] >= avg + delta && i - last > wait) {
+      peaks.push(i);
+      last = i;
+    }
+  }
+  return peaks;
+}
+
+/**
+ * Move each onset back to the local minimum of an energy function that
+ * precedes it, which is a better place to cut audio into segments
+ * @param {array} onsets Onset locations, in units of hop length
+ * @param {array} energy An energy function in the same units, such as getRMS
+ * 
+ * @return An array of the backtracked onset locations, with any onsets that
+ *         backtrack to the same minimum merged together
+ */
+function backtrackOnsets(onsets, energy) {
+  // Find all of the local minima, including the start
+  let minima = [0];
+  for (let i = 1; i < energy.length-1; i++) {
+    if (energy[i] <= energy[i-1] && energy[i] < energy[i+1]) {
+      minima.push(i);
+    }
+  }
+  let res = [];
+  let m = 0;
+  for (let i = 0; i < onsets.length; i++) {
+    while (m < minima.length-1 && minima[m+1] <= onsets[i]) {
+      m++;
+    }
+    const onset = Math.min(onsets[i], minima[m]);
+    if (res.length == 0 || res[res.length-1] < onset) {
+      res.push(onset);
+    }
+  }
+  return res;
+}
+
+/**
+ * Detect onsets by picking peaks out of a novelty function
+ * @param {array} novfn A novelty function, such as from getSuperfluxNovfn
+ * @param {int} hop Hop length, in audio samples, between the samples in novfn
+ * @param {int} sr Sample rate of the audio
+ * @param {object} options {
+ *  'preMax', 'postMax': Neighborhood before/after each onset that it must
+ *                       be the maximum of, in seconds (default 0.03, 0),
+ *  'preAvg', 'postAvg': Neighborhood before/after each onset over which to
+ *                       take the moving average threshold, in seconds 
+ *                       (default 0.1, 0.1),
+ *  'delta': Offset above the moving average of the novelty function, after it
+ *           has been normalized to the range [0, 1] (default 0.07),
+ *  'wait': Minimum gap between onsets, in seconds (default 0.03),
+ *  'offset': Number of hops to add to each peak of novfn to line it up with
+ *            the onset, such as the gap mu in getSuperfluxNovfn (default 0),
+ *  'energy': An energy function with the same hop, such as from getRMS.  If 
+ *            this is given, onsets are backtracked to its local minima
+ * }
+ * @return {
+ *  'frames': Onset locations, in units of hop length,
+ *  'times': Onset times, in seconds,
+ *  'samples': Onset locations, in audio samples
+ * }
+ */
+function getOnsets(novfn, hop, sr, options) {
+  const defaults = {"preMax":0.03, "postMax":0, "preAvg":0.1, "postAvg":0.1,
+                    "delta":0.07, "wait":0.03, "offset":0};
+  // Copy the options so that filling in the defaults leaves the caller's alone
+  options = Object.assign({}, options);
+  for (const key in defaults) {
+    if (options[key] === undefined) {
+      options[key] = defaults[key];
+    }
+  }
+  const toFrames = t => Math.round(t*sr/hop);
+  // Normalize the novelty function to the range [0, 1]
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = 0; i < novfn.length; i++) {
+    min = Math.min(min, novfn[i]);
+    max = Math.max(max, novfn[i]);
+  }
+  let nov = new Float32Array(novfn.length);
+  if (max > min) {
+    for (let i = 0; i < novfn.length; i++) {
+      nov[i] = (novfn[i]-min)/(max-min);
+    }
+  }
+  let frames = pickPeaks(nov, toFrames(options.preMax), toFrames(options.postMax),
+                         toFrames(options.preAvg), toFrames(options.postAvg),
+                         options.delta, toFrames(options.wait));
+  frames = frames.map(f => f + options.offset);
+  if (!(options.energy === undefined)) {
+    frames = backtrackOnsets(frames, options.energy);
+  }
+  let times = [];
+  let samples = [];
+  for (let i = 0; i < frames.length; i++) {
+    times.push(frames[i]*hop/sr);
+    samples.push(frames[i]*hop);
+  }
+  return {"frames":frames, "times":times, "samples":samples};
+}
+
 /**
  * Fast autocorrelation based on the Wiener-Khinchin Theorem, which allows us
  * to use the fast fourier transform of the input to compute the autocorrelation
@@ -348,30 +1004,233 @@ function getKHighestTempos(bpm, strength, K) {
 }
 
 /**
- * An implementation of dynamic programming beat tracking
- * @param {array} novfn An audio novelty function
- * @param {int} sr Sample rate
- * @param {int} hop Hop length used in the STFT to construct novfn
- * @param {float} tempo The estimated tempo, in beats per minute
- * @param {float} alpha The penalty for tempo deviation
+ * Compute a tempogram, which shows the local tempo strength over time, by 
+ * sliding a Hann window over an audio novelty function, as described in [1]
+ * [1] "Cyclic Tempogram - A Mid-Level Tempo Representation for Music
+ *          Signals." Peter Grosche, Meinard Mueller, Frank Kurth. ICASSP 2010
+ * @param {array} novfn The novelty function (length N)
+ * @param {int} hop Hop length, in audio samples, between the samples in the audio
+ *                  novelty function
+ * @param {int} sr Sample rate of the audio
+ * @param {string} method "fourier" to take the magnitude of the DFT of each
+ *                        window at each tempo, or "autocorrelation" to sample
+ *                        the autocorrelation of each window at the lag of each
+ *                        tempo (default "fourier")
+ * @param {float} winSec Length of the sliding window, in seconds (default 8)
+ * @param {int} minBpm Minimum tempo, in beats per minute (default 30)
+ * @param {int} maxBpm Maximum tempo, in beats per minute (default 300)
+ * @param {int} tempoHop Number of novelty function samples between the rows of
+ *                       the tempogram (default 1)
  * 
- * @returns Beat locations, in units of hop length, of each beat
+ * @return {
+ *  'tempogram': A ceil(N/tempoHop) x (maxBpm-minBpm+1) array with the tempo strength
+ *               at every tempoHop'th novelty function sample, normalized so that
+ *               each row has a max of 1,
+ *  'bpm': An array of the beats per minute of each column,
+ *  'times': An array of the time, in seconds, of each row
+ * }
  */
-function getBeats(novfn, sr, hop, tempo, alpha) {
-    let N = novfn.length;
-    let backlink = new Int32Array(N);
-    let cscore = new Float32Array(N);
-    for (let i = 0; i < N; i++) {
-      cscore[i] = novfn[i];
+function getTempogram(novfn, hop, sr, method, winSec, minBpm, maxBpm, tempoHop) {
+  if (method === undefined) {
+    method = "fourier";
+  }
+  if (winSec === undefined) {
+    winSec = 8;
+  }
+  if (minBpm === undefined) {
+    minBpm = 30;
+  }
+  if (maxBpm === undefined) {
+    maxBpm = 300;
+  }
+  if (tempoHop === undefined) {
+    tempoHop = 1;
+  }
+  const N = novfn.length;
+  const fs = sr/hop; // Sample rate of the novelty function
+  const winLen = Math.max(2, Math.round(winSec*fs));
+  const window = hannWindow(winLen);
+  let bpm = new Float32Array(maxBpm-minBpm+1);
+  for (let j = 0; j < bpm.length; j++) {
+    bpm[j] = minBpm+j;
+  }
+  if (!(method == "fourier" || method == "autocorrelation")) {
+    throw new Error("Unknown tempogram method " + method);
+  }
+  // For the Fourier method, zeropad each window so that the FFT bins
+  // are finely enough spaced to interpolate at each tempo
+  const nfft = 4*Math.pow(2, Math.ceil(Math.log2(winLen)));
+  const fft = new FFTJS(nfft);
+  let xpad = new Float32Array(nfft);
+  let s = fft.createComplexArray();
+  let tempogram = [];
+  let times = new Float32Array(Math.ceil(N/tempoHop));
+  let x = new Float32Array(winLen);
+  for (let idx = 0; idx < times.length; idx++) {
+    const i = idx*tempoHop;
+    times[idx] = i*hop/sr;
+    // Extract a mean-centered window around this novelty sample
+    const start = i - Math.floor(winLen/2);
+    let mean = 0;
+    for (let n = 0; n < winLen; n++) {
+      x[n] = 0;
+      if (start+n >= 0 && start+n < N) {
+        x[n] = novfn[start+n];
+      }
+      mean += x[n];
     }
-    let period = Math.floor((60*sr/hop)/tempo);
-    let i1 = Math.floor(-2*period);
-    let i2 = Math.floor(-period/2);
-    let txcost = new Float32Array(i2-i1+1);
-    for (let i = 0; i < i2-i1+1; i++) {
-      txcost[i] = -alpha*Math.pow(Math.log(-(i1+i)/period), 2);
+    mean /= winLen;
+    for (let n = 0; n < winLen; n++) {
+      x[n] = (x[n]-mean)*window[n];
     }
-    let scorecands = new Float32Array(txcost.length);
+    let Ti = new Float32Array(bpm.length);
+    if (method == "fourier") {
+      xpad.set(x);
+      fft.realTransform(s, xpad);
+      for (let j = 0; j < bpm.length; j++) {
+        // Linearly interpolate the magnitude at the frequency of this tempo
+        const k = bpm[j]*nfft/(60*fs);
+        const k1 = Math.floor(k);
+        const t = k - k1;
+        if (k1+1 <= nfft/2) {
+          const m1 = Math.sqrt(s[k1*2]*s[k1*2] + s[k1*2+1]*s[k1*2+1]);
+          const m2 = Math.sqrt(s[k1*2+2]*s[k1*2+2] + s[k1*2+3]*s[k1*2+3]);
+          Ti[j] = (1-t)*m1 + t*m2;
+        }
+      }
+    }
+    else {
+      let r = autocorr(x);
+      for (let j = 0; j < bpm.length; j++) {
+        // Linearly interpolate the autocorrelation at the lag of this tempo
+        const lag = 60*fs/bpm[j];
+        const l1 = Math.floor(lag);
+        const t = lag - l1;
+        if (l1+1 < winLen) {
+          Ti[j] = Math.max(0, (1-t)*r[l1] + t*r[l1+1]);
+        }
+      }
+    }
+    let max = 0;
+    for (let j = 0; j < bpm.length; j++) {
+      max = Math.max(max, Ti[j]);
+    }
+    if (max > 0) {
+      for (let j = 0; j < bpm.length; j++) {
+        Ti[j] /= max;
+      }
+    }
+    tempogram.push(Ti);
+  }
+  return {"tempogram":tempogram, "bpm":bpm, "times":times};
+}
+
+/**
+ * Track a time-varying tempo through a tempogram by finding the Viterbi
+ * path through the per-frame tempo likelihoods, as in section 3.2 of [1]
+ *  [1] "Template-Based Estimation of Time-Varying Tempo." Geoffroy Peeters.
+ *          EURASIP Journal on Advances in Signal Processing
+ * @param {2D Array} tempogram An N x B array of tempo strengths, as returned
+ *                             from getTempogram
+ * @param {array} bpm The beats per minute of each of the B columns
+ * @param {float} penalty The penalty for changing tempo, per octave of 
+ *                        change between adjacent frames (default 50)
+ * 
+ * @return An array (length N) with the tempo, in beats per minute, at each row
+ *         of the tempogram.  This is one tempo per novelty function sample only
+ *         if the tempogram was computed with a tempoHop of 1
+ */
+function getTempoCurve(tempogram, bpm, penalty) {
+  if (penalty === undefined) {
+    penalty = 50;
+  }
+  const N = tempogram.length;
+  const B = bpm.length;
+  let curve = new Float32Array(N);
+  if (N == 0) {
+    return curve;
+  }
+  // Step 1: Precompute the transition costs between every pair of tempos
+  let txcost = [];
+  for (let j = 0; j < B; j++) {
+    txcost[j] = new Float32Array(B);
+    for (let k = 0; k < B; k++) {
+      txcost[j][k] = penalty*Math.abs(Math.log2(bpm[j]/bpm[k]));
+    }
+  }
+  // Step 2: Accumulate the best scores, using log likelihoods
+  let backlink = [];
+  let score = new Float32Array(B);
+  for (let j = 0; j < B; j++) {
+    score[j] = Math.log(tempogram[0][j] + 1e-3);
+  }
+  let next = new Float32Array(B);
+  for (let i = 1; i < N; i++) {
+    let links = new Int32Array(B);
+    for (let j = 0; j < B; j++) {
+      let idx = 0;
+      let best = -Infinity;
+      for (let k = 0; k < B; k++) {
+        const cand = score[k] - txcost[k][j];
+        if (cand > best) {
+          best = cand;
+          idx = k;
+        }
+      }
+      next[j] = best + Math.log(tempogram[i][j] + 1e-3);
+      links[j] = idx;
+    }
+    backlink.push(links);
+    let temp = score;
+    score = next;
+    next = temp;
+  }
+  // Step 3: Backtrace from the best final score
+  let idx = 0;
+  for (let j = 0; j < B; j++) {
+    if (score[j] > score[idx]) {
+      idx = j;
+    }
+  }
+  for (let i = N-1; i >= 0; i--) {
+    curve[i] = bpm[idx];
+    if (i > 0) {
+      idx = backlink[i-1][idx];
+    }
+  }
+  return curve;
+}
+
+/**
+ * An implementation of dynamic programming beat tracking
+ * @param {array} novfn An audio novelty function
+ * @param {int} sr Sample rate
+ * @param {int} hop Hop length used in the STFT to construct novfn
+ * @param {float} tempo The estimated tempo, in beats per minute, or an array
+ *                      with a tempo for each sample of novfn, as returned from
+ *                      getTempoCurve on a tempogram with a tempoHop of 1
+ * @param {float} alpha The penalty for tempo deviation
+ * 
+ * @returns Beat locations, in units of hop length, of each beat
+ */
+function getBeats(novfn, sr, hop, tempo, alpha) {
+    if (!(typeof tempo == "number")) {
+      return getBeatsTempoCurve(novfn, sr, hop, tempo, alpha);
+    }
+    let N = novfn.length;
+    let backlink = new Int32Array(N);
+    let cscore = new Float32Array(N);
+    for (let i = 0; i < N; i++) {
+      cscore[i] = novfn[i];
+    }
+    let period = Math.floor((60*sr/hop)/tempo);
+    let i1 = Math.floor(-2*period);
+    let i2 = Math.floor(-period/2);
+    let txcost = new Float32Array(i2-i1+1);
+    for (let i = 0; i < i2-i1+1; i++) {
+      txcost[i] = -alpha*Math.pow(Math.log(-(i1+i)/period), 2);
+    }
+    let scorecands = new Float32Array(txcost.length);
     // prange = np.arange(i1, i2+1)
     let idxcscore = 0;
     for (let i = -i1+1; i < N; i++) {
@@ -404,6 +1263,86 @@ function getBeats(novfn, sr, hop, tempo, alpha) {
     return beats;
 }
 
+/**
+ * An implementation of dynamic programming beat tracking that follows a
+ * time-varying tempo, by centering the window of possible predecessors of
+ * each beat around the period of the tempo at that beat
+ * @param {array} novfn An audio novelty function (length N)
+ * @param {int} sr Sample rate
+ * @param {int} hop Hop length used in the STFT to construct novfn
+ * @param {array} tempoCurve An array (length N) with the estimated tempo, in 
+ *                           beats per minute, at each sample of novfn, as
+ *                           returned from getTempoCurve on a tempogram with
+ *                           a tempoHop of 1
+ * @param {float} alpha The penalty for tempo deviation
+ * 
+ * @returns Beat locations, in units of hop length, of each beat
+ */
+function getBeatsTempoCurve(novfn, sr, hop, tempoCurve, alpha) {
+  const N = novfn.length;
+  if (tempoCurve.length != N) {
+    throw new Error("Tempo curve has " + tempoCurve.length + " samples, but the novelty function has " + N);
+  }
+  let backlink = new Int32Array(N);
+  let cscore = new Float32Array(N);
+  let idxcscore = 0;
+  for (let i = 0; i < N; i++) {
+    // Search over all possible predecessors in the local tempo window
+    // and apply transition weighting
+    const period = (60*sr/hop)/tempoCurve[i];
+    const j1 = Math.max(0, i - Math.round(2*period));
+    const j2 = i - Math.round(period/2);
+    let best = -Infinity;
+    let idx = i;
+    if (j1 <= j2) {
+      for (let j = j1; j <= j2; j++) {
+        const cand = cscore[j] - alpha*Math.pow(Math.log((i-j)/period), 2);
+        if (cand > best) {
+          best = cand;
+          idx = j;
+        }
+      }
+    }
+    // Add on local score, or start a new sequence of beats if the
+    // window is before the beginning of the novelty function
+    cscore[i] = novfn[i];
+    if (idx < i) {
+      cscore[i] += best;
+    }
+    backlink[i] = idx;
+    if (cscore[i] > cscore[idxcscore]) {
+      idxcscore = i;
+    }
+  }
+  // Start backtrace from best cumulative score
+  let beats = [idxcscore];
+  while (backlink[beats[beats.length-1]] != beats[beats.length-1]) {
+    beats.push(backlink[beats[beats.length-1]]);
+  }
+  beats.reverse();
+  return beats;
+}
+
+/**
+ * Dynamic programming beat tracking for a performance whose tempo drifts
+ * within a known range.  The tempo curve is estimated from a tempogram
+ * restricted to that range, and then it is followed by getBeatsTempoCurve
+ * @param {array} novfn An audio novelty function
+ * @param {int} sr Sample rate
+ * @param {int} hop Hop length used in the STFT to construct novfn
+ * @param {float} minBpm Minimum tempo, in beats per minute
+ * @param {float} maxBpm Maximum tempo, in beats per minute
+ * @param {float} alpha The penalty for tempo deviation
+ * @param {float} penalty The penalty for changing tempo, as in getTempoCurve
+ * 
+ * @returns Beat locations, in units of hop length, of each beat
+ */
+function getBeatsTempoRange(novfn, sr, hop, minBpm, maxBpm, alpha, penalty) {
+  const res = getTempogram(novfn, hop, sr, "fourier", 8, Math.round(minBpm), Math.round(maxBpm));
+  const tempoCurve = getTempoCurve(res.tempogram, res.bpm, penalty);
+  return getBeatsTempoCurve(novfn, sr, hop, tempoCurve, alpha);
+}
+
 /**
  * Convert beats into a triangle function
  * @param {array} novfn Novelty function, in intervals of hop length
@@ -422,11 +1361,73 @@ function getRampBeats(novfn, beats) {
 }
 
 
+/**
+ * Summarize a frame-level feature between each pair of adjacent beats
+ * @param {2D Array} X An N x d array of features (e.g. a spectrogram, chromagram,
+ *                     or MFCCs), or a length N array with one feature per frame
+ *                     (e.g. a spectral centroid).  Frames should be in the same
+ *                     hop units as the beats
+ * @param {array} beats Beat locations, in units of hop length, as returned
+ *                      from getBeats
+ * @param {string} method How to aggregate the frames in each beat interval: 
+ *                        "mean", "median", or "max" (default "mean")
+ * 
+ * @return A (# beats) x d array, whose row i summarizes the frames from beat i
+ *         up to, but not including, beat i+1.  The last row summarizes the
+ *         frames from the last beat to the end
+ */
+function getBeatSyncFeatures(X, beats, method) {
+  if (method === undefined) {
+    method = "mean";
+  }
+  if (!(method == "mean" || method == "median" || method == "max")) {
+    throw new Error("Unknown aggregation method " + method);
+  }
+  const N = X.length;
+  if (N == 0) {
+    return [];
+  }
+  const scalar = typeof X[0] == "number";
+  const d = scalar ? 1 : X[0].length;
+  let res = [];
+  for (let b = 0; b < beats.length; b++) {
+    // Clamp the beat interval to the frames that are available
+    const i1 = Math.min(Math.max(beats[b], 0), N-1);
+    let i2 = N;
+    if (b < beats.length-1) {
+      i2 = Math.min(beats[b+1], N);
+    }
+    i2 = Math.max(i2, i1+1);
+    let Yb = new Float32Array(d);
+    for (let k = 0; k < d; k++) {
+      let vals = [];
+      for (let i = i1; i < i2; i++) {
+        vals.push(scalar ? X[i] : X[i][k]);
+      }
+      if (method == "mean") {
+        Yb[k] = vals.reduce((a, v) => a + v, 0)/vals.length;
+      }
+      else if (method == "max") {
+        Yb[k] = vals.reduce((a, v) => Math.max(a, v), -Infinity);
+      }
+      else {
+        vals.sort((x, y) => x - y);
+        const mid = Math.floor(vals.length/2);
+        Yb[k] = vals.length % 2 == 1 ? vals[mid] : (vals[mid-1] + vals[mid])/2;
+      }
+    }
+    res.push(Yb);
+  }
+  return res;
+}
+
 /**
  * Compute the spectral centroid of each frame of a spectrogram
  * @param {2D Array} S Magnitude spectrogram
+ * @param {int} sr The sample rate, in hz.  If this is given, the centroid
+ *                 is reported in hz.  Otherwise, it is reported as a bin index
  */
-function getSpectralCentroid(S) {
+function getSpectralCentroid(S, sr) {
   let centroid = new Float32Array(S.length);
   for (let i = 0; i < S.length; i++) {
     let weight = 0;
@@ -438,6 +1439,9 @@ function getSpectralCentroid(S) {
     if (weight > 0) {
       centroid[i] = sum/weight;
     }
+    if (!(sr === undefined)) {
+      centroid[i] *= sr/(2*(S[i].length-1));
+    }
   }
   return centroid;
 }
@@ -445,8 +1449,15 @@ function getSpectralCentroid(S) {
 /**
  * Compute the spectral roloff of each frame of a spectrogram
  * @param {2D Array} S Magnitude spectrogram
+ * @param {float} fraction The fraction of the total magnitude below the 
+ *                         roloff (default 0.85)
+ * @param {int} sr The sample rate, in hz.  If this is given, the roloff
+ *                 is reported in hz.  Otherwise, it is reported as a bin index
  */
- function getSpectralRoloff(S) {
+function getSpectralRoloff(S, fraction, sr) {
+  if (fraction === undefined) {
+    fraction = 0.85;
+  }
   let roloff = new Float32Array(S.length);
   for (let i = 0; i < S.length; i++) {
     let totalMag = 0;
@@ -456,12 +1467,589 @@ function getSpectralCentroid(S) {
     let mag = 0;
     for (let j = 0; j < S[i].length; j++) {
       let nextMag = mag + S[i][j];
-      if (mag < 0.85*totalMag && nextMag >= 0.85*totalMag) {
+      if (mag < fraction*totalMag && nextMag >= fraction*totalMag) {
         roloff[i] = j;
         break;
       }
       mag = nextMag;
     }
+    if (!(sr === undefined)) {
+      roloff[i] *= sr/(2*(S[i].length-1));
+    }
   }
   return roloff;
-}
\ No newline at end of file
+}
+
+/**
+ * Compute the spectral bandwidth of each frame of a spectrogram; that is,
+ * the magnitude-weighted standard deviation of frequency about the centroid
+ * @param {2D Array} S Magnitude spectrogram
+ * @param {int} sr The sample rate, in hz.  If this is given, the bandwidth
+ *                 is reported in hz.  Otherwise, it is reported in bins
+ */
+function getSpectralBandwidth(S, sr) {
+  const centroid = getSpectralCentroid(S);
+  let bandwidth = new Float32Array(S.length);
+  for (let i = 0; i < S.length; i++) {
+    let weight = 0;
+    let sum = 0;
+    for (let j = 0; j < S[i].length; j++) {
+      sum += (j-centroid[i])*(j-centroid[i])*S[i][j];
+      weight += S[i][j];
+    }
+    if (weight > 0) {
+      bandwidth[i] = Math.sqrt(sum/weight);
+    }
+    if (!(sr === undefined)) {
+      bandwidth[i] *= sr/(2*(S[i].length-1));
+    }
+  }
+  return bandwidth;
+}
+
+/**
+ * Compute the spectral flatness of each frame of a spectrogram; that is,
+ * the ratio of the geometric mean to the arithmetic mean of the power 
+ * spectrum.  This is close to 1 for noise and close to 0 for tones
+ * @param {2D Array} S Magnitude spectrogram
+ */
+function getSpectralFlatness(S) {
+  let flatness = new Float32Array(S.length);
+  for (let i = 0; i < S.length; i++) {
+    let logSum = 0;
+    let sum = 0;
+    for (let j = 0; j < S[i].length; j++) {
+      const power = Math.max(S[i][j]*S[i][j], 1e-10);
+      logSum += Math.log(power);
+      sum += power;
+    }
+    flatness[i] = Math.exp(logSum/S[i].length)/(sum/S[i].length);
+  }
+  return flatness;
+}
+
+/**
+ * Compute the spectral crest factor of each frame of a spectrogram; 
+ * that is, the ratio of the maximum magnitude to the mean magnitude
+ * @param {2D Array} S Magnitude spectrogram
+ */
+function getSpectralCrest(S) {
+  let crest = new Float32Array(S.length);
+  for (let i = 0; i < S.length; i++) {
+    let max = 0;
+    let sum = 0;
+    for (let j = 0; j < S[i].length; j++) {
+      max = Math.max(max, S[i][j]);
+      sum += S[i][j];
+    }
+    if (sum > 0) {
+      crest[i] = max/(sum/S[i].length);
+    }
+  }
+  return crest;
+}
+
+/**
+ * Compute the spectral flux of each frame of a spectrogram; that is, the
+ * Euclidean distance between each frame and the frame before it
+ * @param {2D Array} S Magnitude spectrogram
+ * @returns An array with the same number of frames as S, whose first
+ *          element is 0
+ */
+function getSpectralFlux(S) {
+  let flux = new Float32Array(S.length);
+  for (let i = 1; i < S.length; i++) {
+    let sum = 0;
+    for (let j = 0; j < S[i].length; j++) {
+      const diff = S[i][j] - S[i-1][j];
+      sum += diff*diff;
+    }
+    flux[i] = Math.sqrt(sum);
+  }
+  return flux;
+}
+
+/**
+ * Compute the spectral contrast of each frame of a spectrogram, as described
+ * in [1].  Each octave band is summarized by the difference, in dB, between 
+ * the mean power of its strongest and weakest bins
+ * [1] "Music Type Classification by Spectral Contrast Feature." Dan-Ning Jiang,
+ *          Lie Lu, Hong-Jiang Zhang, Jian-Hua Tao, Lian-Hong Cai. ICME 2002
+ * @param {2D Array} S Magnitude spectrogram
+ * @param {int} sr The sample rate, in hz
+ * @param {int} nBands Number of octave bands above fmin, all of which have to
+ *                    start below the Nyquist rate (default 6)
+ * @param {float} fmin Upper edge of the lowest band, in hz (default 200)
+ * @param {float} quantile Fraction of the bins in each band that make up
+ *                         the peak and the valley (default 0.02)
+ * @returns An N x (nBands+1) array of spectral contrasts
+ */
+function getSpectralContrast(S, sr, nBands, fmin, quantile) {
+  if (nBands === undefined) {
+    nBands = 6;
+  }
+  if (fmin === undefined) {
+    fmin = 200;
+  }
+  if (quantile === undefined) {
+    quantile = 0.02;
+  }
+  if (S.length == 0) {
+    return [];
+  }
+  // Step 1: Figure out the bin ranges of each band
+  const K = S[0].length;
+  const binHz = sr/(2*(K-1));
+  let edges = [0];
+  for (let b = 0; b <= nBands; b++) {
+    edges.push(Math.min(K, Math.round(fmin*Math.pow(2, b)/binHz)));
+  }
+  if (edges[nBands] >= K) {
+    // The top band would start past the Nyquist rate and have no bins
+    throw new Error("Spectral contrast band at " + fmin*Math.pow(2, nBands-1) + "hz is above the Nyquist rate of " + sr/2 + "hz.  Use fewer bands or a lower fmin");
+  }
+  edges[edges.length-1] = K;
+  // Step 2: Compute the peaks and valleys in each band
+  let contrast = [];
+  for (let i = 0; i < S.length; i++) {
+    let Ci = new Float32Array(nBands+1);
+    for (let b = 0; b <= nBands; b++) {
+      let band = Array.from(S[i].slice(edges[b], Math.max(edges[b+1], edges[b]+1)));
+      band.sort((x, y) => x - y);
+      const n = Math.max(1, Math.round(quantile*band.length));
+      let valley = 0;
+      let peak = 0;
+      for (let k = 0; k < n; k++) {
+        valley += band[k]*band[k];
+        peak += band[band.length-1-k]*band[band.length-1-k];
+      }
+      valley = 10*Math.log10(Math.max(valley/n, 1e-10));
+      peak = 10*Math.log10(Math.max(peak/n, 1e-10));
+      Ci[b] = peak - valley;
+    }
+    contrast.push(Ci);
+  }
+  return contrast;
+}
+
+/**
+ * Compute a statistic on each frame of a set of audio samples, using
+ * the same framing as getSpectrogram
+ * @param {array} samples Audio samples
+ * @param {int} win Window length
+ * @param {int} hop Hop length
+ * @param {object} options {center, padMode} framing options, as in getSpectrogram
+ * @param {function} fn A function that takes a frame and returns a number
+ * @returns A Float32Array with the statistic for each frame
+ */
+function getFrameStatistic(samples, win, hop, options, fn) {
+  if (options === undefined) {
+    options = {};
+  }
+  if (options.center) {
+    samples = padSamples(samples, win/2, options.padMode === undefined ? "reflect" : options.padMode);
+  }
+  const W = Math.max(0, Math.floor(1+(samples.length-win)/hop));
+  let res = new Float32Array(W);
+  for (let i = 0; i < W; i++) {
+    res[i] = fn(samples.slice(i*hop, i*hop+win));
+  }
+  return res;
+}
+
+/**
+ * Compute the fraction of adjacent samples that change sign in each frame
+ * @param {array} samples Audio samples
+ * @param {int} win Window length
+ * @param {int} hop Hop length
+ * @param {object} options {center, padMode} framing options, as in getSpectrogram
+ */
+function getZeroCrossingRate(samples, win, hop, options) {
+  return getFrameStatistic(samples, win, hop, options, x => {
+    let crossings = 0;
+    for (let n = 1; n < x.length; n++) {
+      if ((x[n] >= 0) != (x[n-1] >= 0)) {
+        crossings++;
+      }
+    }
+    return crossings/x.length;
+  });
+}
+
+/**
+ * Compute the root mean square energy of each frame
+ * @param {array} samples Audio samples
+ * @param {int} win Window length
+ * @param {int} hop Hop length
+ * @param {object} options {center, padMode} framing options, as in getSpectrogram
+ */
+function getRMS(samples, win, hop, options) {
+  return getFrameStatistic(samples, win, hop, options, x => {
+    let sum = 0;
+    for (let n = 0; n < x.length; n++) {
+      sum += x[n]*x[n];
+    }
+    return Math.sqrt(sum/x.length);
+  });
+}
+
+/**
+ * Compute a set of frame-level features, sharing one spectrogram between
+ * all of the spectral features
+ * @param {array} samples Audio samples
+ * @param {int} sr The sample rate, in hz
+ * @param {array} names Names of the features to compute, out of "centroid",
+ *                      "rolloff", "bandwidth", "flatness", "crest", "flux",
+ *                      "contrast", "zcr", and "rms"
+ * @param {object} options {
+ *  'win': Window length (default 2048),
+ *  'hop': Hop length (default 512),
+ *  'window', 'center', 'padMode': Framing options, as in getSpectrogram,
+ *  'useHz': If true, report centroid, rolloff, and bandwidth in hz instead
+ *           of bins (default false),
+ *  'rolloffFraction': Fraction of magnitude below the rolloff (default 0.85),
+ *  'nBands', 'fmin', 'quantile': Spectral contrast parameters
+ * }
+ * @returns A promise that resolves to an object with a key for each 
+ *          feature name, whose value holds that feature for every frame
+ */
+function getFeatures(samples, sr, names, options) {
+  if (options === undefined) {
+    options = {};
+  }
+  const win = options.win === undefined ? 2048 : options.win;
+  const hop = options.hop === undefined ? 512 : options.hop;
+  const binSr = options.useHz ? sr : undefined;
+  const spectral = {
+    "centroid": S => getSpectralCentroid(S, binSr),
+    "rolloff": S => getSpectralRoloff(S, options.rolloffFraction, binSr),
+    "bandwidth": S => getSpectralBandwidth(S, binSr),
+    "flatness": S => getSpectralFlatness(S),
+    "crest": S => getSpectralCrest(S),
+    "flux": S => getSpectralFlux(S),
+    "contrast": S => getSpectralContrast(S, sr, options.nBands, options.fmin, options.quantile)
+  };
+  const temporal = {
+    "zcr": getZeroCrossingRate,
+    "rms": getRMS
+  };
+  for (let i = 0; i < names.length; i++) {
+    if (!(names[i] in spectral || names[i] in temporal)) {
+      throw new Error("Unknown feature " + names[i]);
+    }
+  }
+  let SPromise = Promise.resolve(null);
+  if (names.some(name => name in spectral)) {
+    SPromise = getSpectrogram(samples, win, hop, false, options);
+  }
+  return SPromise.then(S => {
+    let res = {};
+    for (let i = 0; i < names.length; i++) {
+      if (names[i] in spectral) {
+        res[names[i]] = spectral[names[i]](S);
+      }
+      else {
+        res[names[i]] = temporal[names[i]](samples, win, hop, options);
+      }
+    }
+    return res;
+  });
+}
+
+/**
+ * Compute an orthonormal DCT-II basis
+ * @param {int} N Length of the input signal
+ * @param {int} K Number of coefficients to keep
+ * 
+ * @return An N x K array whose columns are the first K DCT-II basis vectors
+ */
+function getDCTBasis(N, K) {
+  let D = [];
+  for (let n = 0; n < N; n++) {
+    let row = new Float32Array(K);
+    for (let k = 0; k < K; k++) {
+      let scale = Math.sqrt(2/N);
+      if (k == 0) {
+        scale = Math.sqrt(1/N);
+      }
+      row[k] = scale*Math.cos(Math.PI*k*(2*n+1)/(2*N));
+    }
+    D.push(row);
+  }
+  return D;
+}
+
+/**
+ * Compute delta (time derivative) features of a frame-level feature
+ * array using the regression formula from HTK, replicating the first
+ * and last frames at the boundaries
+ * @param {2D Array} X An N x d array of features
+ * @param {int} width Number of frames on either side to use in the
+ *                    regression (default 2)
+ * 
+ * @return An N x d array of delta features
+ */
+function getDeltas(X, width) {
+  if (width === undefined) {
+    width = 2;
+  }
+  const N = X.length;
+  let denom = 0;
+  for (let n = 1; n <= width; n++) {
+    denom += 2*n*n;
+  }
+  let D = [];
+  for (let i = 0; i < N; i++) {
+    let Di = new Float32Array(X[i].length);
+    for (let n = 1; n <= width; n++) {
+      const next = X[Math.min(i+n, N-1)];
+      const prev = X[Math.max(i-n, 0)];
+      for (let k = 0; k < Di.length; k++) {
+        Di[k] += n*(next[k] - prev[k]);
+      }
+    }
+    for (let k = 0; k < Di.length; k++) {
+      Di[k] /= denom;
+    }
+    D.push(Di);
+  }
+  return D;
+}
+
+/**
+ * Compute mel-frequency cepstral coefficients from a magnitude spectrogram
+ * @param {2D Array} S Magnitude spectrogram, as returned from getSpectrogram
+ *                     with useDb = false
+ * @param {int} sr The sample rate, in hz
+ * @param {int} win Window length that was used to compute S
+ * @param {int} nCoeffs Number of cepstral coefficients to keep (default 20)
+ * @param {int} nBins Number of mel bins (default 40)
+ * @param {float} lifter Sinusoidal liftering parameter, as in HTK.  Use 0
+ *                       for no liftering (default 0)
+ * @param {int} deltaOrder 0 for just the coefficients, 1 to append the deltas,
+ *                         and 2 to append deltas and delta-deltas (default 0)
+ * 
+ * @return An N x (nCoeffs*(deltaOrder+1)) array of MFCCs, with each row 
+ *         holding the coefficients, followed by the deltas and delta-deltas
+ */
+function getMFCCFromSpectrogram(S, sr, win, nCoeffs, nBins, lifter, deltaOrder) {
+  if (nCoeffs === undefined) {
+    nCoeffs = 20;
+  }
+  if (nBins === undefined) {
+    nBins = 40;
+  }
+  if (lifter === undefined) {
+    lifter = 0;
+  }
+  if (deltaOrder === undefined) {
+    deltaOrder = 0;
+  }
+  nCoeffs = Math.min(nCoeffs, nBins);
+  // Step 1: Compute log power in each mel bin
+  let P = [];
+  for (let i = 0; i < S.length; i++) {
+    let Pi = new Float32Array(S[i].length);
+    for (let k = 0; k < Pi.length; k++) {
+      Pi[k] = S[i][k]*S[i][k];
+    }
+    P.push(Pi);
+  }
+  let M = getMelFilterbank(win, sr, 27.5, Math.min(16000, sr/2), nBins);
+  let L = numeric.dot(P, M);
+  for (let i = 0; i < L.length; i++) {
+    for (let j = 0; j < L[i].length; j++) {
+      L[i][j] = 10*Math.log10(Math.max(L[i][j], 1e-10));
+    }
+  }
+  // Step 2: Decorrelate with the DCT and apply liftering
+  let C = numeric.dot(L, getDCTBasis(nBins, nCoeffs));
+  let lift = new Float32Array(nCoeffs);
+  for (let k = 0; k < nCoeffs; k++) {
+    lift[k] = 1;
+    if (lifter > 0) {
+      lift[k] += (lifter/2)*Math.sin(Math.PI*k/lifter);
+    }
+  }
+  for (let i = 0; i < C.length; i++) {
+    let Ci = new Float32Array(nCoeffs);
+    for (let k = 0; k < nCoeffs; k++) {
+      Ci[k] = C[i][k]*lift[k];
+    }
+    C[i] = Ci;
+  }
+  // Step 3: Append deltas and delta-deltas, if requested
+  let parts = [C];
+  for (let d = 0; d < deltaOrder; d++) {
+    parts.push(getDeltas(parts[parts.length-1]));
+  }
+  let res = [];
+  for (let i = 0; i < C.length; i++) {
+    let row = new Float32Array(nCoeffs*parts.length);
+    for (let p = 0; p < parts.length; p++) {
+      row.set(parts[p][i], p*nCoeffs);
+    }
+    res.push(row);
+  }
+  return res;
+}
+
+/**
+ * Compute mel-frequency cepstral coefficients of a set of audio samples
+ * @param {array} samples Audio samples
+ * @param {int} sr The sample rate, in hz
+ * @param {int} win Window length
+ * @param {int} hop Hop length
+ * @param {int} nCoeffs Number of cepstral coefficients to keep (default 20)
+ * @param {int} nBins Number of mel bins (default 40)
+ * @param {float} lifter Sinusoidal liftering parameter (default 0)
+ * @param {int} deltaOrder 0 for just the coefficients, 1 to append the deltas,
+ *                         and 2 to append deltas and delta-deltas (default 0)
+ * @returns A promise that resolves to the MFCCs
+ */
+function getMFCC(samples, sr, win, hop, nCoeffs, nBins, lifter, deltaOrder) {
+  return new Promise(resolve => {
+    getSpectrogram(samples, win, hop, false).then(S => {
+      resolve(getMFCCFromSpectrogram(S, sr, win, nCoeffs, nBins, lifter, deltaOrder));
+    });
+  });
+}
+
+const CHROMA_NAMES = ["C", "C#", "D", "Eb", "E", "F", "F#", "G", "G#", "A", "Bb", "B"];
+
+/**
+ * Fold the bins of a magnitude spectrogram into 12 pitch classes
+ * @param {2D Array} S Magnitude spectrogram, as returned from getSpectrogram
+ *                     with useDb = false
+ * @param {int} sr The sample rate, in hz
+ * @param {int} win Window length that was used to compute S
+ * @param {float} tuning Frequency of A4, in hz (default 440)
+ * @param {int} minOctave Lowest octave to include, in scientific pitch 
+ *                        notation (default 1)
+ * @param {int} maxOctave Highest octave to include (default 8)
+ * 
+ * @return An N x 12 array with the chroma of each frame, starting at C.
+ *         Each frame is normalized so that its max is 1
+ */
+function getChromaFromSpectrogram(S, sr, win, tuning, minOctave, maxOctave) {
+  if (tuning === undefined) {
+    tuning = 440;
+  }
+  if (minOctave === undefined) {
+    minOctave = 1;
+  }
+  if (maxOctave === undefined) {
+    maxOctave = 8;
+  }
+  // Step 1: Figure out the pitch class of every frequency bin, or
+  // -1 if it is out of the octave range
+  const K = win/2+1;
+  let pc = new Int32Array(K);
+  for (let k = 0; k < K; k++) {
+    pc[k] = -1;
+    if (k > 0) {
+      // Note number relative to C0
+      let p = Math.round(12*Math.log2(k*sr/(win*tuning))) + 57;
+      let octave = Math.floor(p/12);
+      if (octave >= minOctave && octave <= maxOctave) {
+        pc[k] = p % 12;
+      }
+    }
+  }
+  // Step 2: Accumulate energy in each pitch class
+  let C = [];
+  for (let i = 0; i < S.length; i++) {
+    let Ci = new Float32Array(12);
+    for (let k = 0; k < K; k++) {
+      if (pc[k] > -1) {
+        Ci[pc[k]] += S[i][k]*S[i][k];
+      }
+    }
+    let max = 0;
+    for (let j = 0; j < 12; j++) {
+      max = Math.max(max, Ci[j]);
+    }
+    if (max > 0) {
+      for (let j = 0; j < 12; j++) {
+        Ci[j] /= max;
+      }
+    }
+    C.push(Ci);
+  }
+  return C;
+}
+
+/**
+ * Fold the bins of a constant-Q transform into 12 pitch classes
+ * @param {2D Array} C Magnitude constant-Q transform, as returned from 
+ *                     getConstantQ with useDb = false
+ * @param {float} minFreq Frequency of the lowest bin of C, in hz
+ * @param {int} binsPerOctave Number of bins in each octave of C
+ * @param {float} tuning Frequency of A4, in hz (default 440)
+ * 
+ * @return An N x 12 array with the chroma of each frame, starting at C.
+ *         Each frame is normalized so that its max is 1
+ */
+function getChromaFromCQT(C, minFreq, binsPerOctave, tuning) {
+  if (tuning === undefined) {
+    tuning = 440;
+  }
+  let chroma = [];
+  for (let i = 0; i < C.length; i++) {
+    let Ci = new Float32Array(12);
+    for (let k = 0; k < C[i].length; k++) {
+      const freq = minFreq*Math.pow(2, k/binsPerOctave);
+      const p = Math.round(12*Math.log2(freq/tuning)) + 57;
+      Ci[((p % 12) + 12) % 12] += C[i][k]*C[i][k];
+    }
+    let max = 0;
+    for (let j = 0; j < 12; j++) {
+      max = Math.max(max, Ci[j]);
+    }
+    if (max > 0) {
+      for (let j = 0; j < 12; j++) {
+        Ci[j] /= max;
+      }
+    }
+    chroma.push(Ci);
+  }
+  return chroma;
+}
+
+/**
+ * Compute the chromagram of a set of audio samples
+ * @param {array} samples Audio samples
+ * @param {int} sr The sample rate, in hz
+ * @param {int} win Window length
+ * @param {int} hop Hop length
+ * @param {float} tuning Frequency of A4, in hz (default 440)
+ * @param {int} minOctave Lowest octave to include (default 1)
+ * @param {int} maxOctave Highest octave to include (default 8)
+ * @param {boolean} useCQT If true, fold a 36 bin per octave constant-Q transform
+ *                         (from cqt.js) instead of the spectrogram (default false)
+ * @returns A promise that resolves to the N x 12 chromagram
+ */
+function getChroma(samples, sr, win, hop, tuning, minOctave, maxOctave, useCQT) {
+  if (useCQT) {
+    if (tuning === undefined) {
+      tuning = 440;
+    }
+    if (minOctave === undefined) {
+      minOctave = 1;
+    }
+    if (maxOctave === undefined) {
+      maxOctave = 8;
+    }
+    // Start a third of a semitone below C so that bins are centered on notes
+    const minFreq = tuning*Math.pow(2, (12*(minOctave-4) - 9 - 1/3)/12);
+    const nOctaves = Math.min(maxOctave-minOctave+1, Math.floor(Math.log2(sr/(2*minFreq))));
+    return getConstantQ(samples, sr, hop, minFreq, 36, nOctaves, false).then(C => {
+      return getChromaFromCQT(C, minFreq, 36, tuning);
+    });
+  }
+  return new Promise(resolve => {
+    getSpectrogram(samples, win, hop, false).then(S => {
+      resolve(getChromaFromSpectrogram(S, sr, win, tuning, minOctave, maxOctave));
+    });
+  });
+}
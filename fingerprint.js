@@ -0,0 +1,347 @@
+// Requires features.js and resample.js to have been loaded first
+
+/**  Audio fingerprinting with hashed pairs of spectrogram peaks, as described in [1]
+ *   [1] "An Industrial-Strength Audio Search Algorithm." Avery Li-Chun Wang.
+ *          ISMIR 2003
+ */
+
+const FINGERPRINT_DEFAULTS = {
+  "sr":11025, // Audio is resampled to this rate so that clips at any rate match
+  "win":1024,
+  "hop":256,
+  "timeRadius":8, // Half of the height, in frames, of the neighborhood where a peak is maximal
+  "freqRadius":16, // Half of the width, in bins, of the neighborhood where a peak is maximal
+  "range":60, // Peaks more than this many dB below the loudest bin are ignored
+  "fanout":10, // Number of later peaks paired with each anchor peak
+  "maxDt":63, // Maximum number of frames between the peaks of a pair
+  "maxDf":256 // Maximum number of bins between the peaks of a pair
+};
+
+/**
+ * Find the constellation of peaks in a spectrogram, which are the bins
+ * that are maximal in a neighborhood around them
+ * @param {2D Array} S An N x K spectrogram in dB, as returned from getSpectrogram
+ * @param {object} options {timeRadius, freqRadius, range}, as in FINGERPRINT_DEFAULTS
+ *
+ * @return An array of [frame, bin] peak locations, sorted by frame
+ */
+function getConstellation(S, options) {
+  options = Object.assign({}, FINGERPRINT_DEFAULTS, options);
+  const N = S.length;
+  if (N == 0) {
+    return [];
+  }
+  const K = S[0].length;
+  let max = -Infinity;
+  for (let i = 0; i < N; i++) {
+    for (let k = 0; k < K; k++) {
+      if (isFinite(S[i][k])) {
+        max = Math.max(max, S[i][k]);
+      }
+    }
+  }
+  // Step 1: Max filter along frequency, and then along time
+  const df = options.freqRadius;
+  const dt = options.timeRadius;
+  let F = [];
+  for (let i = 0; i < N; i++) {
+    let Fi = new Float32Array(K);
+    for (let k = 0; k < K; k++) {
+      let m = -Infinity;
+      const j2 = Math.min(K-1, k+df);
+      for (let j = Math.max(0, k-df); j <= j2; j++) {
+        if (S[i][j] > m) {
+          m = S[i][j];
+        }
+      }
+      Fi[k] = m;
+    }
+    F.push(Fi);
+  }
+  // Step 2: Keep the bins that are equal to the max of their neighborhood
+  let peaks = [];
+  for (let i = 0; i < N; i++) {
+    for (let k = 0; k < K; k++) {
+      const x = S[i][k];
+      if (!isFinite(x) || x < max - options.range) {
+        continue;
+      }
+      let isMax = true;
+      for (let j = Math.max(0, i-dt); j <= Math.min(N-1, i+dt) && isMax; j++) {
+        if (F[j][k] > x) {
+          isMax = false;
+        }
+      }
+      if (isMax) {
+        peaks.push([i, k]);
+      }
+    }
+  }
+  return peaks;
+}
+
+/**
+ * Hash pairs of peaks in a constellation.  Each peak is an anchor that is
+ * paired with the next few peaks in a target zone after it, and each pair
+ * is summarized by the two frequencies and the time between them, which
+ * don't depend on where the audio starts
+ * @param {array} peaks An array of [frame, bin] peaks sorted by frame,
+ *                      as returned from getConstellation
+ * @param {object} options {fanout, maxDt, maxDf}, as in FINGERPRINT_DEFAULTS
+ *
+ * @return {
+ *  'hashes': An Int32Array with the hash of each pair,
+ *  'times': An Int32Array with the frame of the anchor of each pair
+ * }
+ */
+function getPeakPairHashes(peaks, options) {
+  options = Object.assign({}, FINGERPRINT_DEFAULTS, options);
+  let hashes = [];
+  let times = [];
+  for (let a = 0; a < peaks.length; a++) {
+    const [t1, f1] = peaks[a];
+    let count = 0;
+    for (let b = a+1; b < peaks.length && count < options.fanout; b++) {
+      const [t2, f2] = peaks[b];
+      const dt = t2 - t1;
+      if (dt > options.maxDt) {
+        break;
+      }
+      if (dt < 1 || Math.abs(f2-f1) > options.maxDf) {
+        continue;
+      }
+      // 11 bits for each frequency and 9 bits for the time difference
+      hashes.push(((f1 & 2047) << 20) | ((f2 & 2047) << 9) | (dt & 511));
+      times.push(t1);
+      count++;
+    }
+  }
+  return {"hashes":new Int32Array(hashes), "times":new Int32Array(times)};
+}
+
+/**
+ * Compute the fingerprint of audio
+ * @param {array} samples Audio samples
+ * @param {int} sr Sample rate
+ * @param {object} options Fingerprinting parameters, as in FINGERPRINT_DEFAULTS
+ *
+ * @returns A promise that resolves to the {hashes, times} of the peak pairs,
+ *          as returned from getPeakPairHashes
+ */
+function getFingerprint(samples, sr, options) {
+  options = Object.assign({}, FINGERPRINT_DEFAULTS, options);
+  if (sr != options.sr) {
+    samples = resample(samples, sr, options.sr, "low");
+  }
+  return getSpectrogram(samples, options.win, options.hop, true, {"window":"hann"}).then(S => {
+    return getPeakPairHashes(getConstellation(S, options), options);
+  });
+}
+
+class FingerprintDatabase {
+  /**
+   * Setup an empty index from peak pair hashes to the places they occur
+   * in reference recordings
+   *
+   * @param {object} options Fingerprinting parameters, as in FINGERPRINT_DEFAULTS.
+   *                         These have to be the same for the references and queries
+   */
+  constructor(options) {
+    this.options = Object.assign({}, FINGERPRINT_DEFAULTS, options);
+    this.index = new Map();
+    this.fingerprints = new Map();
+  }
+
+  /**
+   * Add a precomputed fingerprint to the index
+   * @param {string} id Name of the reference recording
+   * @param {object} fingerprint {hashes, times}, as returned from getFingerprint
+   */
+  addFingerprint(id, fingerprint) {
+    if (this.fingerprints.has(id)) {
+      this.remove(id);
+    }
+    this.fingerprints.set(id, fingerprint);
+    for (let i = 0; i < fingerprint.hashes.length; i++) {
+      const h = fingerprint.hashes[i];
+      if (!this.index.has(h)) {
+        this.index.set(h, []);
+      }
+      this.index.get(h).push([id, fingerprint.times[i]]);
+    }
+  }
+
+  /**
+   * Fingerprint a reference recording and add it to the index
+   * @param {string} id Name of the reference recording
+   * @param {SampledAudio} audio The audio
+   * @returns A promise that resolves once the audio has been added
+   */
+  add(id, audio) {
+    const that = this;
+    return getFingerprint(audio.samples, audio.sr, this.options).then(fingerprint => {
+      that.addFingerprint(id, fingerprint);
+    });
+  }
+
+  /**
+   * Take a reference recording out of the index
+   * @param {string} id Name of the reference recording
+   */
+  remove(id) {
+    const fingerprint = this.fingerprints.get(id);
+    if (fingerprint === undefined) {
+      return;
+    }
+    for (let i = 0; i < fingerprint.hashes.length; i++) {
+      const h = fingerprint.hashes[i];
+      const entries = this.index.get(h);
+      if (!(entries === undefined)) {
+        const kept = entries.filter(e => e[0] != id);
+        if (kept.length == 0) {
+          this.index.delete(h);
+        }
+        else {
+          this.index.set(h, kept);
+        }
+      }
+    }
+    this.fingerprints.delete(id);
+  }
+
+  /**
+   * Find the reference recording that a fingerprint comes from.  Every hash
+   * that the query shares with a reference votes for the time offset between
+   * them, and the true match is the one with many votes for the same offset
+   * @param {object} fingerprint {hashes, times}, as returned from getFingerprint
+   * @param {int} minVotes The fewest votes for a match (default 5)
+   *
+   * @return {
+   *  'match': The id of the best matching reference, or null if there
+   *           are fewer than minVotes votes for any offset,
+   *  'offset': Time, in seconds, in the reference where the query starts,
+   *  'confidence': Fraction of the hashes of the query that vote for the match,
+   *  'votes': Number of votes for the match
+   * }
+   */
+  queryFingerprint(fingerprint, minVotes) {
+    if (minVotes === undefined) {
+      minVotes = 5;
+    }
+    let votes = new Map();
+    let best = {"match":null, "offset":0, "confidence":0, "votes":0};
+    for (let i = 0; i < fingerprint.hashes.length; i++) {
+      const entries = this.index.get(fingerprint.hashes[i]);
+      if (entries === undefined) {
+        continue;
+      }
+      for (const [id, t] of entries) {
+        const offset = t - fingerprint.times[i];
+        const key = id + "_" + offset;
+        const count = (votes.has(key) ? votes.get(key) : 0) + 1;
+        votes.set(key, count);
+        if (count > best.votes) {
+          best.match = id;
+          best.offset = offset;
+          best.votes = count;
+        }
+      }
+    }
+    if (best.votes < minVotes) {
+      return {"match":null, "offset":0, "confidence":0, "votes":best.votes};
+    }
+    best.offset *= this.options.hop/this.options.sr;
+    best.confidence = best.votes/fingerprint.hashes.length;
+    return best;
+  }
+
+  /**
+   * Find the reference recording that a clip comes from
+   * @param {SampledAudio} audio The clip
+   * @param {int} minVotes The fewest votes for a match (default 5)
+   * @returns A promise that resolves to {match, offset, confidence, votes},
+   *          as returned from queryFingerprint
+   */
+  query(audio, minVotes) {
+    const that = this;
+    return getFingerprint(audio.samples, audio.sr, this.options).then(fingerprint => {
+      return that.queryFingerprint(fingerprint, minVotes);
+    });
+  }
+
+  /**
+   * Open an IndexedDB database with one object store of fingerprints
+   * @param {string} dbName Name of the database
+   * @returns A promise that resolves to the database
+   */
+  static openIndexedDB(dbName) {
+    return new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(dbName, 1);
+      request.onupgradeneeded = function() {
+        request.result.createObjectStore("fingerprints", {"keyPath":"id"});
+      };
+      request.onsuccess = function() {
+        resolve(request.result);
+      };
+      request.onerror = function() {
+        reject(request.error);
+      };
+    });
+  }
+
+  /**
+   * Save all of the fingerprints in the index to IndexedDB in the browser
+   * @param {string} dbName Name of the database (default "fingerprints")
+   * @returns A promise that resolves once the fingerprints have been written
+   */
+  save(dbName) {
+    if (dbName === undefined) {
+      dbName = "fingerprints";
+    }
+    const that = this;
+    return FingerprintDatabase.openIndexedDB(dbName).then(db => {
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction("fingerprints", "readwrite");
+        const store = transaction.objectStore("fingerprints");
+        store.clear();
+        for (const [id, fingerprint] of that.fingerprints) {
+          store.put({"id":id, "hashes":fingerprint.hashes, "times":fingerprint.times});
+        }
+        transaction.oncomplete = function() {
+          db.close();
+          resolve();
+        };
+        transaction.onerror = function() {
+          reject(transaction.error);
+        };
+      });
+    });
+  }
+
+  /**
+   * Add all of the fingerprints that were saved to IndexedDB in the browser
+   * @param {string} dbName Name of the database (default "fingerprints")
+   * @returns A promise that resolves once the fingerprints have been indexed
+   */
+  load(dbName) {
+    if (dbName === undefined) {
+      dbName = "fingerprints";
+    }
+    const that = this;
+    return FingerprintDatabase.openIndexedDB(dbName).then(db => {
+      return new Promise((resolve, reject) => {
+        const request = db.transaction("fingerprints", "readonly").objectStore("fingerprints").getAll();
+        request.onsuccess = function() {
+          for (const entry of request.result) {
+            that.addFingerprint(entry.id, {"hashes":entry.hashes, "times":entry.times});
+          }
+          db.close();
+          resolve();
+        };
+        request.onerror = function() {
+          reject(request.error);
+        };
+      });
+    });
+  }
+}
@@ -0,0 +1,196 @@
+// Requires features.js and stft.js to have been loaded first
+
+/**  Harmonic-percussive source separation by median filtering, as described in [1]
+ *   [1] "Harmonic/Percussive Separation Using Median Filtering." Derry Fitzgerald.
+ *          DAFX 2010
+ *   [2] "Extending Harmonic-Percussive Separation of Audio Signals." Jonathan
+ *          Driedger, Meinard Mueller, Sascha Disch. ISMIR 2014
+ */
+
+/**
+ * Apply a running median filter to an array, using only the values that are
+ * inside the array at the boundaries.  The values in the filter window are
+ * kept sorted, so each step only has to remove one value and insert another
+ * @param {Float32Array} x The values to filter
+ * @param {int} r Radius of the filter
+ * @param {Float32Array} y Array to hold the filtered values
+ * @param {Float64Array} w Scratch array with room for 2r+1 values
+ */
+function medianFilter(x, r, y, w) {
+  const L = x.length;
+  let count = 0;
+  const insert = v => {
+    let j = count;
+    while (j > 0 && w[j-1] > v) {
+      w[j] = w[j-1];
+      j--;
+    }
+    w[j] = v;
+    count++;
+  };
+  const remove = v => {
+    let j = 0;
+    while (j < count-1 && w[j] != v) {
+      j++;
+    }
+    w.copyWithin(j, j+1, count);
+    count--;
+  };
+  for (let j = 0; j < Math.min(L, r); j++) {
+    insert(x[j]);
+  }
+  for (let i = 0; i < L; i++) {
+    if (i-r-1 >= 0) {
+      remove(x[i-r-1]);
+    }
+    if (i+r < L) {
+      insert(x[i+r]);
+    }
+    const mid = Math.floor(count/2);
+    if (count % 2 == 1) {
+      y[i] = w[mid];
+    }
+    else {
+      y[i] = (w[mid-1] + w[mid])/2;
+    }
+  }
+}
+
+/**
+ * Apply a median filter to a spectrogram along time or along frequency,
+ * using only the values that are inside the spectrogram at the boundaries
+ * @param {2D Array} S An N x K magnitude spectrogram
+ * @param {int} kernel Length of the median filter
+ * @param {boolean} alongTime If true, filter each frequency bin across frames.
+ *                            If false, filter each frame across frequency bins
+ *
+ * @return An N x K array with the filtered spectrogram
+ */
+function medianFilterSpectrogram(S, kernel, alongTime) {
+  const N = S.length;
+  const r = Math.floor(kernel/2);
+  let w = new Float64Array(2*r+1);
+  let res = [];
+  for (let i = 0; i < N; i++) {
+    res.push(new Float32Array(S[i].length));
+    if (!alongTime) {
+      medianFilter(S[i], r, res[i], w);
+    }
+  }
+  if (alongTime && N > 0) {
+    const K = S[0].length;
+    let x = new Float32Array(N);
+    let y = new Float32Array(N);
+    for (let k = 0; k < K; k++) {
+      for (let i = 0; i < N; i++) {
+        x[i] = S[i][k];
+      }
+      medianFilter(x, r, y, w);
+      for (let i = 0; i < N; i++) {
+        res[i][k] = y[i];
+      }
+    }
+  }
+  return res;
+}
+
+/**
+ * Separate audio into harmonic and percussive components by masking its STFT.
+ * Harmonic sounds are horizontal lines in a spectrogram, so they survive a
+ * median filter along time, while percussive sounds are vertical lines, so
+ * they survive a median filter along frequency
+ * @param {array} samples Audio samples
+ * @param {int} win Window length (assumed to be a power of 2)
+ * @param {int} hop Hop length
+ * @param {object} options {
+ *  'harmonicKernel': Length of the median filter along time, in frames (default 17),
+ *  'percussiveKernel': Length of the median filter along frequency, in bins (default 17),
+ *  'mask': "soft" for Wiener-style soft masks, or "hard" for binary masks (default "soft"),
+ *  'power': Exponent of the soft masks (default 2),
+ *  'margin': How many times stronger one component has to be than the other for
+ *            a bin to be assigned to it.  Margins above 1 leave a residual [2] (default 1),
+ *  'residual': If true, also return the residual, which is everything not assigned
+ *              to the harmonic or percussive components (default false)
+ * }
+ * @returns A promise that resolves to {
+ *  'harmonic': A Float32Array with the harmonic audio samples,
+ *  'percussive': A Float32Array with the percussive audio samples,
+ *  'residual': A Float32Array with the residual audio samples, if requested
+ * }
+ */
+function getHPSS(samples, win, hop, options) {
+  options = Object.assign({"harmonicKernel":17, "percussiveKernel":17, "mask":"soft",
+                           "power":2, "margin":1, "residual":false}, options);
+  if (!(options.mask == "soft" || options.mask == "hard")) {
+    throw new Error("Unknown mask type " + options.mask);
+  }
+  return getSTFT(samples, win, hop).then(X => {
+    const N = X.re.length;
+    // Step 1: Median filter the magnitude spectrogram in both directions
+    let S = [];
+    for (let i = 0; i < N; i++) {
+      let Si = new Float32Array(X.re[i].length);
+      for (let k = 0; k < Si.length; k++) {
+        Si[k] = Math.sqrt(X.re[i][k]*X.re[i][k] + X.im[i][k]*X.im[i][k]);
+      }
+      S.push(Si);
+    }
+    const H = medianFilterSpectrogram(S, options.harmonicKernel, true);
+    const P = medianFilterSpectrogram(S, options.percussiveKernel, false);
+    // Step 2: Mask the STFT to each component
+    const margin = options.margin;
+    const power = options.power;
+    let XH = {"re":[], "im":[]};
+    let XP = {"re":[], "im":[]};
+    // Only keep the residual around if it was asked for
+    let XR = options.residual ? {"re":[], "im":[]} : null;
+    let Ys = options.residual ? [XH, XP, XR] : [XH, XP];
+    for (let i = 0; i < N; i++) {
+      const K = S[i].length;
+      for (let Y of Ys) {
+        Y.re.push(new Float32Array(K));
+        Y.im.push(new Float32Array(K));
+      }
+      for (let k = 0; k < K; k++) {
+        let mH = 0;
+        let mP = 0;
+        if (options.mask == "hard") {
+          mH = H[i][k] > margin*P[i][k] ? 1 : 0;
+          mP = P[i][k] >= margin*H[i][k] && mH == 0 ? 1 : 0;
+        }
+        else {
+          const h = Math.pow(H[i][k], power);
+          const p = Math.pow(P[i][k], power);
+          const hm = Math.pow(margin*H[i][k], power);
+          const pm = Math.pow(margin*P[i][k], power);
+          if (h + pm > 0) {
+            mH = h/(h + pm);
+          }
+          if (p + hm > 0) {
+            mP = p/(p + hm);
+          }
+          if (h + pm == 0 && p + hm == 0) {
+            mH = 0.5;
+            mP = 0.5;
+          }
+        }
+        XH.re[i][k] = mH*X.re[i][k];
+        XH.im[i][k] = mH*X.im[i][k];
+        XP.re[i][k] = mP*X.re[i][k];
+        XP.im[i][k] = mP*X.im[i][k];
+        if (options.residual) {
+          const mR = Math.max(0, 1 - mH - mP);
+          XR.re[i][k] = mR*X.re[i][k];
+          XR.im[i][k] = mR*X.im[i][k];
+        }
+      }
+    }
+    // Step 3: Invert each component back to audio
+    let res = {"harmonic":getISTFT(XH, win, hop, samples.length),
+               "percussive":getISTFT(XP, win, hop, samples.length)};
+    if (options.residual) {
+      res.residual = getISTFT(XR, win, hop, samples.length);
+    }
+    return res;
+  });
+}
@@ -0,0 +1,394 @@
+// Requires resample.js to have been loaded first
+
+/**  Loudness metering with K-weighting and gating, as described in [1],
+ *   and loudness range, as described in [2]
+ *   [1] "Algorithms to Measure Audio Programme Loudness and True-Peak Audio
+ *          Level." ITU-R Recommendation BS.1770-4, 2015
+ *   [2] "Loudness Range: A Measure to Supplement EBU R 128 Loudness
+ *          Normalization." EBU Tech 3342, 2016
+ */
+
+/**
+ * Compute the coefficients of the two biquad filters that make up the
+ * K-weighting: a high shelf that models the acoustic effect of the head,
+ * followed by a high pass (the "RLB" weighting).  The analog prototypes are
+ * mapped to the sample rate with the bilinear transform, so they agree with
+ * the 48khz coefficients in [1]
+ * @param {int} sr Sample rate
+ *
+ * @return An array of two filters, each of which is {'b', 'a'}
+ */
+function getKWeightingFilters(sr) {
+  // Stage 1: High shelf
+  let f0 = 1681.974450955533;
+  const G = 3.999843853973347;
+  let Q = 0.7071752369554196;
+  let K = Math.tan(Math.PI*f0/sr);
+  const Vh = Math.pow(10, G/20);
+  const Vb = Math.pow(Vh, 0.4996667741545416);
+  let a0 = 1 + K/Q + K*K;
+  const shelf = {"b":[(Vh + Vb*K/Q + K*K)/a0, 2*(K*K - Vh)/a0, (Vh - Vb*K/Q + K*K)/a0],
+                 "a":[1, 2*(K*K - 1)/a0, (1 - K/Q + K*K)/a0]};
+  // Stage 2: High pass
+  f0 = 38.13547087602444;
+  Q = 0.5003270373238773;
+  K = Math.tan(Math.PI*f0/sr);
+  a0 = 1 + K/Q + K*K;
+  const highpass = {"b":[1, -2, 1],
+                    "a":[1, 2*(K*K - 1)/a0, (1 - K/Q + K*K)/a0]};
+  return [shelf, highpass];
+}
+
+/**
+ * Apply a biquad filter to a signal
+ * @param {array} x The signal
+ * @param {object} filter {'b', 'a'} coefficients, with a[0] = 1
+ * @param {object} state {'x1', 'x2', 'y1', 'y2'} The last two inputs and outputs
+ *                       of a previous call, which is updated in place so that
+ *                       a signal can be filtered one chunk at a time (optional)
+ *
+ * @return A Float32Array with the filtered signal
+ */
+function applyBiquad(x, filter, state) {
+  if (state === undefined) {
+    state = {"x1":0, "x2":0, "y1":0, "y2":0};
+  }
+  const b = filter.b;
+  const a = filter.a;
+  let y = new Float32Array(x.length);
+  for (let i = 0; i < x.length; i++) {
+    const yi = b[0]*x[i] + b[1]*state.x1 + b[2]*state.x2 - a[1]*state.y1 - a[2]*state.y2;
+    state.x2 = state.x1;
+    state.x1 = x[i];
+    state.y2 = state.y1;
+    state.y1 = yi;
+    y[i] = yi;
+  }
+  return y;
+}
+
+/**
+ * Convert a channel-weighted mean square to loudness units
+ * @param {float} z Sum over channels of the weighted mean squares
+ *                  of the K-weighted samples
+ */
+function energyToLUFS(z) {
+  return -0.691 + 10*Math.log10(z);
+}
+
+/**
+ * Pool the energies of overlapping blocks out of the energies of
+ * consecutive 100ms sub-blocks
+ * @param {array} sub Energies of the sub-blocks
+ * @param {int} len Number of sub-blocks in each block
+ *
+ * @return A Float32Array with the mean energy of each block of len
+ *         sub-blocks, with one block starting at every sub-block
+ */
+function getBlockEnergies(sub, len) {
+  let res = new Float32Array(Math.max(0, sub.length-len+1));
+  let sum = 0;
+  for (let i = 0; i < sub.length; i++) {
+    sum += sub[i];
+    if (i >= len) {
+      sum -= sub[i-len];
+    }
+    if (i >= len-1) {
+      res[i-len+1] = Math.max(0, sum)/len;
+    }
+  }
+  return res;
+}
+
+/**
+ * Apply the absolute gate at -70 LUFS and a relative gate to a set of
+ * block energies
+ * @param {array} energies Energies of the blocks
+ * @param {float} relGate How many LU below the loudness of the blocks
+ *                        that pass the absolute gate the relative gate is
+ *
+ * @return An array of the energies of the blocks that pass both gates
+ */
+function getGatedEnergies(energies, relGate) {
+  let gated = [];
+  for (let i = 0; i < energies.length; i++) {
+    if (energyToLUFS(energies[i]) > -70) {
+      gated.push(energies[i]);
+    }
+  }
+  if (gated.length == 0) {
+    return gated;
+  }
+  let mean = 0;
+  for (let i = 0; i < gated.length; i++) {
+    mean += gated[i]/gated.length;
+  }
+  const thresh = energyToLUFS(mean) - relGate;
+  return gated.filter(z => energyToLUFS(z) > thresh);
+}
+
+/**
+ * Compute the integrated loudness of a set of 400ms block energies
+ * @param {array} energies Energies of the blocks
+ *
+ * @return The integrated loudness in LUFS, or -Infinity if every
+ *         block is below the absolute gate
+ */
+function getIntegratedLoudness(energies) {
+  const gated = getGatedEnergies(energies, 10);
+  let mean = 0;
+  for (let i = 0; i < gated.length; i++) {
+    mean += gated[i]/gated.length;
+  }
+  return energyToLUFS(mean);
+}
+
+/**
+ * Compute the loudness range, which is the spread between the 10th and
+ * 95th percentiles of the gated short-term loudness [2]
+ * @param {array} energies Energies of the 3 second blocks
+ *
+ * @return The loudness range in LU
+ */
+function getLoudnessRange(energies) {
+  const gated = getGatedEnergies(energies, 20);
+  if (gated.length == 0) {
+    return 0;
+  }
+  let L = gated.map(energyToLUFS);
+  L.sort((a, b) => a - b);
+  const low = L[Math.round(0.1*(L.length-1))];
+  const high = L[Math.round(0.95*(L.length-1))];
+  return high - low;
+}
+
+/**
+ * Estimate the true peak of a signal, which includes the peaks between
+ * samples, by oversampling it
+ * @param {array} channels An array of arrays with the samples of each channel
+ * @param {int} sr Sample rate
+ *
+ * @return The true peak, in dBTP
+ */
+function getTruePeak(channels, sr) {
+  // Oversample to at least 176.4khz, as recommended in [1]
+  let fac = 1;
+  if (sr < 96000) {
+    fac = 4;
+  }
+  else if (sr < 192000) {
+    fac = 2;
+  }
+  let peak = 0;
+  for (let c = 0; c < channels.length; c++) {
+    let x = channels[c];
+    if (fac > 1) {
+      x = resample(x, sr, sr*fac, "low");
+    }
+    for (let i = 0; i < x.length; i++) {
+      peak = Math.max(peak, Math.abs(x[i]));
+    }
+  }
+  return 20*Math.log10(peak);
+}
+
+/**
+ * Measure the loudness of audio
+ * @param {array} channels An array of arrays with the samples of each channel
+ * @param {int} sr Sample rate
+ * @param {object} options {
+ *  'channelWeights': The weight of each channel.  By default, this is 1 for
+ *                    every channel, except for 1.41 for the surround channels
+ *                    of 5 channel (L, R, C, Ls, Rs) audio [1],
+ *  'truePeak': If true, also estimate the true peak, which is slower (default true)
+ * }
+ *
+ * @return {
+ *  'momentary': A Float32Array with the loudness of every 400ms block, in LUFS,
+ *               with a block starting every 100ms,
+ *  'shortTerm': A Float32Array with the loudness of every 3 second block, in LUFS,
+ *               with a block starting every 100ms,
+ *  'integrated': The gated loudness of the whole audio, in LUFS,
+ *  'range': The loudness range, in LU,
+ *  'truePeak': The true peak, in dBTP, if requested
+ * }
+ */
+function getLoudness(channels, sr, options) {
+  options = Object.assign({"truePeak":true}, options);
+  let weights = options.channelWeights;
+  if (weights === undefined) {
+    weights = channels.map((x, c) => channels.length == 5 && c >= 3 ? 1.41 : 1);
+  }
+  // Step 1: Compute the energy of the K-weighted audio in 100ms sub-blocks
+  const filters = getKWeightingFilters(sr);
+  const subLen = Math.round(0.1*sr);
+  const nSub = Math.floor(channels[0].length/subLen);
+  let sub = new Float32Array(nSub);
+  for (let c = 0; c < channels.length; c++) {
+    let y = channels[c];
+    for (let f = 0; f < filters.length; f++) {
+      y = applyBiquad(y, filters[f]);
+    }
+    for (let i = 0; i < nSub; i++) {
+      let sum = 0;
+      for (let j = i*subLen; j < (i+1)*subLen; j++) {
+        sum += y[j]*y[j];
+      }
+      sub[i] += weights[c]*sum/subLen;
+    }
+  }
+  // Step 2: Pool sub-blocks into momentary and short-term blocks
+  const momentary = getBlockEnergies(sub, 4);
+  const shortTerm = getBlockEnergies(sub, 30);
+  let res = {"momentary":momentary.map(energyToLUFS),
+             "shortTerm":shortTerm.map(energyToLUFS),
+             "integrated":getIntegratedLoudness(momentary),
+             "range":getLoudnessRange(shortTerm)};
+  if (options.truePeak) {
+    res.truePeak = getTruePeak(channels, sr);
+  }
+  return res;
+}
+
+/**
+ * Resolution, in LU, of the histogram of block loudnesses that the live
+ * meter gates, and the loudest block it can tell apart, in LUFS
+ */
+const LOUDNESS_HIST_STEP = 0.1;
+const LOUDNESS_HIST_MAX = 10;
+
+class LoudnessMeter {
+  /**
+   * Setup a live loudness meter on audio that's being recorded with
+   * startRecordingRealtime.  Pass processChunk as the onChunkRead callback, e.g.
+   * audio.startRecordingRealtime("start", "stop", 4096, meter.processChunk.bind(meter))
+   *
+   * @param {SampledAudio} audio Audio object that will hold samples
+   * @param {function} onUpdate A function to callback with the meter every time
+   *                            the loudness has been updated (optional)
+   */
+  constructor(audio, onUpdate) {
+    this.audio = audio;
+    this.onUpdate = onUpdate;
+    this.reset();
+  }
+
+  /**
+   * Clear the loudness history, e.g. to start a new measurement
+   */
+  reset() {
+    this.pos = 0;
+    this.filters = null;
+    this.states = [];
+    this.sub = []; // The last 30 sub-block energies
+    // Running sums of the energies and counts of the blocks that pass the
+    // absolute gate, binned by loudness so that the relative gate can be
+    // applied without going back over every block
+    const nBins = Math.ceil((LOUDNESS_HIST_MAX + 70)/LOUDNESS_HIST_STEP);
+    this.histEnergy = new Float64Array(nBins);
+    this.histCount = new Int32Array(nBins);
+    this.gatedEnergy = 0;
+    this.gatedCount = 0;
+    this.partial = 0;
+    this.partialCount = 0;
+    this.momentary = -Infinity;
+    this.shortTerm = -Infinity;
+    this.integrated = -Infinity;
+    this.samplePeak = -Infinity; // Largest sample magnitude, in dBFS (not oversampled)
+  }
+
+  /**
+   * Add a 400ms block to the running sums for the integrated loudness
+   * @param {float} z Energy of the block
+   */
+  addBlock(z) {
+    const L = energyToLUFS(z);
+    if (L > -70) {
+      const idx = Math.min(this.histCount.length-1, Math.floor((L+70)/LOUDNESS_HIST_STEP));
+      this.histEnergy[idx] += z;
+      this.histCount[idx]++;
+      this.gatedEnergy += z;
+      this.gatedCount++;
+    }
+  }
+
+  /**
+   * Apply the relative gate to the running sums, as in getIntegratedLoudness.
+   * Blocks are gated a histogram bin at a time, so this agrees with
+   * getIntegratedLoudness to within LOUDNESS_HIST_STEP around the gate
+   *
+   * @return The integrated loudness in LUFS
+   */
+  getIntegrated() {
+    if (this.gatedCount == 0) {
+      return -Infinity;
+    }
+    const thresh = energyToLUFS(this.gatedEnergy/this.gatedCount) - 10;
+    let energy = 0;
+    let count = 0;
+    for (let i = 0; i < this.histCount.length; i++) {
+      if (this.histCount[i] > 0 && energyToLUFS(this.histEnergy[i]/this.histCount[i]) > thresh) {
+        energy += this.histEnergy[i];
+        count += this.histCount[i];
+      }
+    }
+    return count > 0 ? energyToLUFS(energy/count) : -Infinity;
+  }
+
+  /**
+   * Incorporate all of the samples that have come in since the last call
+   */
+  processChunk() {
+    const samples = this.audio.samples;
+    const sr = this.audio.sr;
+    if (samples.length < this.pos) {
+      // The recording has been restarted
+      this.reset();
+    }
+    if (this.filters === null) {
+      this.filters = getKWeightingFilters(sr);
+      this.states = this.filters.map(() => ({"x1":0, "x2":0, "y1":0, "y2":0}));
+    }
+    let y = samples.slice(this.pos);
+    this.pos = samples.length;
+    for (let i = 0; i < y.length; i++) {
+      this.samplePeak = Math.max(this.samplePeak, 20*Math.log10(Math.abs(y[i])));
+    }
+    for (let f = 0; f < this.filters.length; f++) {
+      y = applyBiquad(y, this.filters[f], this.states[f]);
+    }
+    // Finish 100ms sub-blocks
+    const subLen = Math.round(0.1*sr);
+    const sub = this.sub;
+    for (let i = 0; i < y.length; i++) {
+      this.partial += y[i]*y[i];
+      this.partialCount++;
+      if (this.partialCount == subLen) {
+        sub.push(this.partial/subLen);
+        if (sub.length > 30) {
+          sub.shift();
+        }
+        this.partial = 0;
+        this.partialCount = 0;
+        if (sub.length >= 4) {
+          const z = (sub[sub.length-1] + sub[sub.length-2] +
+                     sub[sub.length-3] + sub[sub.length-4])/4;
+          this.momentary = energyToLUFS(z);
+          this.addBlock(z);
+        }
+      }
+    }
+    // Update the readings
+    this.integrated = this.getIntegrated();
+    if (sub.length >= 30) {
+      let z = 0;
+      for (let i = sub.length-30; i < sub.length; i++) {
+        z += sub[i]/30;
+      }
+      this.shortTerm = energyToLUFS(z);
+    }
+    if (!(this.onUpdate === undefined)) {
+      this.onUpdate(this);
+    }
+  }
+}
@@ -0,0 +1,173 @@
+// Requires stft.js to have been loaded first
+
+/**  Non-negative matrix factorization of magnitude spectrograms with
+ *   multiplicative updates, as described in [1]
+ *   [1] "Algorithms for Non-negative Matrix Factorization." Daniel Lee,
+ *          H. Sebastian Seung. NIPS 2001
+ */
+
+/**
+ * Factor a magnitude spectrogram V into templates W and activations H so that
+ * V[i][k] ~= sum_r H[i][r]*W[k][r]
+ * @param {2D Array} V An N x K magnitude spectrogram, as returned from getSpectrogram
+ * @param {int} R Number of components
+ * @param {object} options {
+ *  'nIters': Number of iterations (default 100),
+ *  'loss': "euclidean" or "kl" for the Kullback-Leibler divergence (default "kl"),
+ *  'W': A K x R array of initial templates.  Random if not given,
+ *  'fixW': If true, keep the templates W fixed and only learn the activations,
+ *          e.g. to find known sounds in a new recording (default false),
+ *  'sparsity': Weight of an L1 penalty on the activations (default 0),
+ *  'onProgress': A callback function that is invoked with the iteration number
+ *                and nIters after every iteration (optional)
+ * }
+ *
+ * @return {
+ *  'W': A K x R array whose columns are the spectral templates,
+ *  'H': An N x R array whose columns are the activations of each template
+ *       over time, in the same frame layout as V
+ * }
+ */
+function getNMF(V, R, options) {
+  options = Object.assign({"nIters":100, "loss":"kl", "fixW":false, "sparsity":0}, options);
+  if (!(options.loss == "euclidean" || options.loss == "kl")) {
+    throw new Error("Unknown NMF loss " + options.loss);
+  }
+  const N = V.length;
+  // With no frames, there are no activations, and the templates stay as they start
+  let K = N > 0 ? V[0].length : 0;
+  if (N == 0 && !(options.W === undefined)) {
+    K = options.W.length;
+  }
+  const eps = 1e-10;
+  let W = options.W;
+  if (W === undefined) {
+    W = [];
+    for (let k = 0; k < K; k++) {
+      W.push(new Float32Array(R).map(() => Math.random()));
+    }
+  }
+  else {
+    W = W.map(Wk => new Float32Array(Wk));
+  }
+  let H = [];
+  for (let i = 0; i < N; i++) {
+    H.push(new Float32Array(R).map(() => Math.random()));
+  }
+  // Lambda is the current approximation of V
+  let Lam = [];
+  for (let i = 0; i < N; i++) {
+    Lam.push(new Float32Array(K));
+  }
+  const updateLam = function() {
+    for (let i = 0; i < N; i++) {
+      for (let k = 0; k < K; k++) {
+        let sum = 0;
+        for (let r = 0; r < R; r++) {
+          sum += H[i][r]*W[k][r];
+        }
+        Lam[i][k] = sum;
+      }
+    }
+  };
+  let num = new Float32Array(R);
+  let denom = new Float32Array(R);
+  for (let iter = 0; iter < options.nIters; iter++) {
+    // Step 1: Update activations
+    updateLam();
+    for (let i = 0; i < N; i++) {
+      num.fill(0);
+      denom.fill(0);
+      for (let k = 0; k < K; k++) {
+        const ratio = V[i][k]/(Lam[i][k] + eps);
+        for (let r = 0; r < R; r++) {
+          if (options.loss == "kl") {
+            num[r] += W[k][r]*ratio;
+            denom[r] += W[k][r];
+          }
+          else {
+            num[r] += W[k][r]*V[i][k];
+            denom[r] += W[k][r]*Lam[i][k];
+          }
+        }
+      }
+      for (let r = 0; r < R; r++) {
+        H[i][r] *= num[r]/(denom[r] + options.sparsity + eps);
+      }
+    }
+    // Step 2: Update templates
+    if (!options.fixW) {
+      updateLam();
+      for (let k = 0; k < K; k++) {
+        num.fill(0);
+        denom.fill(0);
+        for (let i = 0; i < N; i++) {
+          const ratio = V[i][k]/(Lam[i][k] + eps);
+          for (let r = 0; r < R; r++) {
+            if (options.loss == "kl") {
+              num[r] += H[i][r]*ratio;
+              denom[r] += H[i][r];
+            }
+            else {
+              num[r] += H[i][r]*V[i][k];
+              denom[r] += H[i][r]*Lam[i][k];
+            }
+          }
+        }
+        for (let r = 0; r < R; r++) {
+          W[k][r] *= num[r]/(denom[r] + eps);
+        }
+      }
+    }
+    if (!(options.onProgress === undefined)) {
+      options.onProgress(iter+1, options.nIters);
+    }
+  }
+  return {"W":W, "H":H};
+}
+
+/**
+ * Resynthesize the audio of one NMF component by soft (Wiener) masking the
+ * complex STFT of the original audio with that component's share of the
+ * approximation
+ * @param {object} X {'re', 'im'} STFT of the audio, as returned from getSTFT
+ * @param {2D Array} W A K x R array of templates, as returned from getNMF
+ * @param {2D Array} H An N x R array of activations, as returned from getNMF.
+ *                     These need to line up with the frames of X, so the NMF
+ *                     should be of the magnitude of X, or of getSpectrogram with
+ *                     {window:"hann", center:true, padMode:"constant"}
+ * @param {int} r Index of the component to resynthesize
+ * @param {int} win Window length of the STFT
+ * @param {int} hop Hop length of the STFT
+ * @param {int} length Number of audio samples to return
+ * @param {float} power Exponent of the soft masks (default 1)
+ *
+ * @return A Float32Array of audio samples with just that component
+ */
+function getNMFComponentAudio(X, W, H, r, win, hop, length, power) {
+  if (power === undefined) {
+    power = 1;
+  }
+  const N = X.re.length;
+  const K = N > 0 ? X.re[0].length : 0;
+  const R = W.length > 0 ? W[0].length : 0;
+  let Y = {"re":[], "im":[]};
+  for (let i = 0; i < N; i++) {
+    let Rei = new Float32Array(K);
+    let Imi = new Float32Array(K);
+    for (let k = 0; k < K; k++) {
+      let total = 0;
+      for (let j = 0; j < R; j++) {
+        total += Math.pow(H[i][j]*W[k][j], power);
+      }
+      if (total > 0) {
+        const mask = Math.pow(H[i][r]*W[k][r], power)/total;
+        Rei[k] = mask*X.re[i][k];
+        Imi[k] = mask*X.im[i][k];
+      }
+    }
+    Y.re.push(Rei);
+    Y.im.push(Imi);
+  }
+  return getISTFT(Y, win, hop, length);
+}
@@ -127,13 +127,19 @@ class OnlineBeat {
    * @param {string} startButtonStr DOM element name of start button
    * @param {string} stopButtonStr DOM element name of stop button
    * @param {int} win Window length of FFT
-   * @param {int} mu The gap between windows to compare (default 1)
+   * @param {int} mu The gap between windows to compare (default 3)
    * @param {int} Gamma An offset to add to the log spectrogram; log10(|S| + Gamma) 
-   *                    (default 10)
+   *                    (default 1)
    * @param {function} phaseCallback A function to callback every time a 
    *                                 new phase is available (optional)
+   * @param {object} options Framing options, as in getSpectrogram.  Only
+   *                         the window is used, since frames can't be 
+   *                         centered on audio that hasn't arrived yet, and it
+   *                         defaults to "hann" to match getSuperfluxNovfn.  Also
+   *                         'maxWin', the width of the superflux maximum filter
+   *                         along mel bins, as in getSuperfluxNovfn (default 3)
   */
-  startRecording(startButtonStr, stopButtonStr, win, mu, Gamma, phaseCallback) {
+  startRecording(startButtonStr, stopButtonStr, win, mu, Gamma, phaseCallback, options) {
     if (mu === undefined) {
       mu = 3;
     }
@@ -148,6 +154,11 @@ class OnlineBeat {
     this.phaseCallback = phaseCallback;
     this.swin = win/2+1;
     this.fft = new FFTJS(win);
+    if (options === undefined) {
+      options = {};
+    }
+    this.window = getWindow(options.window === undefined ? "hann" : options.window, win);
+    this.maxWin = options.maxWin === undefined ? 3 : options.maxWin;
     this.M = getMelFilterbank(win, this.audio.sr, 27.5, Math.min(16000, this.audio.sr/2), 138);
     this.S = [];
     this.novfn = [];
@@ -194,6 +205,9 @@ class OnlineBeat {
     const fac = this.fac;
     const S = this.S;
     let x = this.audio.samples.slice(idx*hop, idx*hop+win);
+    for (let n = 0; n < win; n++) {
+      x[n] *= this.window[n];
+    }
     let s = this.fft.createComplexArray();
     this.fft.realTransform(s, x);
     let Si = new Float32Array(swin);
@@ -211,9 +225,16 @@ class OnlineBeat {
     this.S[idx].finished = true;
     this.S[idx].vals = Si;
     if (idx > mu) {
+      // Compare to a maximum filtered reference frame, as in getSuperfluxNovfn
+      const ref = S[idx-mu].vals;
+      const r = Math.floor(this.maxWin/2);
       let nov = 0;
       for (let k = 0; k < Si.length; k++) {
-        let diff = Si[k] - S[idx-mu].vals[k];
+        let refMax = ref[k];
+        for (let j = Math.max(0, k-r); j <= Math.min(Si.length-1, k+r); j++) {
+          refMax = Math.max(refMax, ref[j]);
+        }
+        let diff = Si[k] - refMax;
         if (diff > 0) {
           nov += diff;
         }
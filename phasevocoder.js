@@ -0,0 +1,121 @@
+// Requires features.js, stft.js, and resample.js to have been loaded first
+
+/**  Phase vocoder time stretching and pitch shifting, with the identity
+ *   phase locking described in [1]
+ *   [1] "Improved Phase Vocoder Time-Scale Modification of Audio." Jean Laroche,
+ *          Mark Dolson. IEEE Trans. Speech and Audio Processing, 1999
+ */
+
+/**
+ * Change the speed of audio without changing its pitch
+ * @param {array} samples Audio samples
+ * @param {float} rate Speed factor.  Rates above 1 speed the audio up, and
+ *                     rates below 1 slow it down
+ * @param {int} win Window length (assumed to be a power of 2, default 2048)
+ * @param {int} hop Hop length (default win/4)
+ * @param {boolean} phaseLock If true, lock the phases of the bins around each
+ *                            spectral peak to the phase of that peak, which
+ *                            reduces phasiness (default true)
+ * @returns A promise that resolves to a Float32Array with about
+ *          samples.length/rate stretched audio samples
+ */
+function getTimeStretch(samples, rate, win, hop, phaseLock) {
+  if (win === undefined) {
+    win = 2048;
+  }
+  if (hop === undefined) {
+    hop = win/4;
+  }
+  if (phaseLock === undefined) {
+    phaseLock = true;
+  }
+  return getSTFT(samples, win, hop).then(X => {
+    const N = X.re.length;
+    const K = win/2+1;
+    let mag = [];
+    let phase = [];
+    for (let i = 0; i < N; i++) {
+      let Mi = new Float32Array(K);
+      let Pi = new Float32Array(K);
+      for (let k = 0; k < K; k++) {
+        Mi[k] = Math.sqrt(X.re[i][k]*X.re[i][k] + X.im[i][k]*X.im[i][k]);
+        Pi[k] = Math.atan2(X.im[i][k], X.re[i][k]);
+      }
+      mag.push(Mi);
+      phase.push(Pi);
+    }
+    // Expected phase advance of each bin over one hop
+    let omega = new Float32Array(K);
+    for (let k = 0; k < K; k++) {
+      omega[k] = 2*Math.PI*k*hop/win;
+    }
+    let Y = {"re":[], "im":[]};
+    let acc = new Float32Array(K);
+    for (let k = 0; k < K; k++) {
+      acc[k] = phase[0][k];
+    }
+    for (let t = 0; t < N-1; t += rate) {
+      // Step 1: Interpolate the magnitude between adjacent input frames
+      const i = Math.floor(t);
+      const alpha = t - i;
+      let Mt = new Float32Array(K);
+      for (let k = 0; k < K; k++) {
+        Mt[k] = (1-alpha)*mag[i][k] + alpha*mag[i+1][k];
+      }
+      let out = new Float32Array(K);
+      if (phaseLock) {
+        // Step 2a: Lock each bin to the phase of the peak whose
+        // region of influence it's in
+        let peaks = [];
+        for (let k = 0; k < K; k++) {
+          if ((k == 0 || Mt[k] > Mt[k-1]) && (k == K-1 || Mt[k] >= Mt[k+1])) {
+            peaks.push(k);
+          }
+        }
+        let p = 0;
+        for (let k = 0; k < K; k++) {
+          while (p < peaks.length-1 && Math.abs(peaks[p+1]-k) < Math.abs(peaks[p]-k)) {
+            p++;
+          }
+          const peak = peaks[p];
+          out[k] = acc[peak] + phase[i][k] - phase[i][peak];
+        }
+      }
+      else {
+        for (let k = 0; k < K; k++) {
+          out[k] = acc[k];
+        }
+      }
+      let Yre = new Float32Array(K);
+      let Yim = new Float32Array(K);
+      for (let k = 0; k < K; k++) {
+        Yre[k] = Mt[k]*Math.cos(out[k]);
+        Yim[k] = Mt[k]*Math.sin(out[k]);
+      }
+      Y.re.push(Yre);
+      Y.im.push(Yim);
+      // Step 3: Advance the phase by the instantaneous frequency of each bin
+      for (let k = 0; k < K; k++) {
+        const dphi = princarg(phase[i+1][k] - phase[i][k] - omega[k]);
+        acc[k] = out[k] + omega[k] + dphi;
+      }
+    }
+    return getISTFT(Y, win, hop, Math.round(samples.length/rate));
+  });
+}
+
+/**
+ * Change the pitch of audio without changing its speed, by stretching it
+ * and then resampling it back to its original length
+ * @param {array} samples Audio samples
+ * @param {float} semitones Number of halfsteps by which to shift the pitch
+ * @param {int} win Window length (assumed to be a power of 2, default 2048)
+ * @param {int} hop Hop length (default win/4)
+ * @returns A promise that resolves to a Float32Array with the shifted audio samples
+ */
+function getPitchShift(samples, semitones, win, hop) {
+  const fac = Math.pow(2, semitones/12);
+  return getTimeStretch(samples, 1/fac, win, hop).then(y => {
+    return resample(y, y.length, samples.length);
+  });
+}
@@ -0,0 +1,148 @@
+/**  Bandlimited sample rate conversion with a Kaiser windowed sinc filter,
+ *   as described in [1]
+ *   [1] "Digital Audio Resampling Home Page." Julius O. Smith III.
+ *          https://ccrma.stanford.edu/~jos/resample/
+ */
+
+/**
+ * Settings of the windowed sinc filter for each quality level.  zeros is the
+ * number of zero crossings of the sinc on either side of its center, rolloff
+ * is the cutoff as a fraction of the lower Nyquist rate, and beta is the
+ * shape parameter of the Kaiser window
+ */
+const RESAMPLE_QUALITY = {
+  "low": {"zeros":8, "rolloff":0.85, "beta":5},
+  "medium": {"zeros":16, "rolloff":0.9, "beta":7},
+  "high": {"zeros":32, "rolloff":0.95, "beta":9}
+};
+
+/**
+ * Number of points per zero crossing at which the windowed sinc is tabulated
+ */
+const RESAMPLE_TABLE_RES = 512;
+
+/**
+ * Compute the zeroth order modified Bessel function of the first kind
+ * @param {float} x Input
+ */
+function besselI0(x) {
+  let sum = 1;
+  let term = 1;
+  for (let k = 1; k < 50 && term > 1e-10*sum; k++) {
+    term *= (x/(2*k))*(x/(2*k));
+    sum += term;
+  }
+  return sum;
+}
+
+/**
+ * Compute the greatest common divisor of two integers
+ * @param {int} a
+ * @param {int} b
+ */
+function gcd(a, b) {
+  while (b > 0) {
+    const temp = b;
+    b = a % b;
+    a = temp;
+  }
+  return a;
+}
+
+/**
+ * Change the sample rate of a signal.  Each output sample is a weighted sum of
+ * the input samples around it, with weights from a lowpass windowed sinc.
+ * The windowed sinc is tabulated finely once, and the weights at any
+ * fractional offset are linearly interpolated from the table [1].  When the
+ * ratio of the sample rates is a ratio of small integers, the weights for
+ * each of the possible fractional offsets (or polyphase components) are
+ * also computed once and reused
+ * @param {array} samples Audio samples
+ * @param {float} srIn Sample rate of the input, in hz
+ * @param {float} srOut Sample rate of the output, in hz
+ * @param {string} quality "low", "medium", or "high" (default "high")
+ *
+ * @return A Float32Array with round(samples.length*srOut/srIn) samples
+ */
+function resample(samples, srIn, srOut, quality) {
+  if (quality === undefined) {
+    quality = "high";
+  }
+  if (!(quality in RESAMPLE_QUALITY)) {
+    throw new Error("Unknown resampling quality " + quality);
+  }
+  const params = RESAMPLE_QUALITY[quality];
+  const N = samples.length;
+  const NOut = Math.round(N*srOut/srIn);
+  let y = new Float32Array(NOut);
+  // Step 1: Design the filter, in units of input samples
+  const fc = params.rolloff*Math.min(1, srOut/srIn);
+  const halfWidth = params.zeros/fc;
+  const nTaps = 2*Math.ceil(halfWidth);
+  const I0Beta = besselI0(params.beta);
+  // Tabulate the right half of the filter at RESAMPLE_TABLE_RES points
+  // per zero crossing
+  const nTable = params.zeros*RESAMPLE_TABLE_RES;
+  let table = new Float32Array(nTable+1);
+  for (let m = 1; m < nTable; m++) {
+    const u = m/RESAMPLE_TABLE_RES;
+    const r = u/params.zeros;
+    const sinc = Math.sin(Math.PI*u)/(Math.PI*u);
+    table[m] = sinc*besselI0(params.beta*Math.sqrt(1-r*r))/I0Beta;
+  }
+  table[0] = 1;
+  const getWeights = function(frac, w) {
+    // Weights of the input samples floor(t)-nTaps/2+1 ... floor(t)+nTaps/2,
+    // where frac = t - floor(t), filled into w
+    for (let j = 0; j < nTaps; j++) {
+      const m = Math.abs(j - nTaps/2 + 1 - frac)*fc*RESAMPLE_TABLE_RES;
+      const m0 = Math.floor(m);
+      w[j] = 0;
+      if (m0 < nTable) {
+        w[j] = fc*(table[m0] + (m-m0)*(table[m0+1] - table[m0]));
+      }
+    }
+    return w;
+  };
+  // Step 2: If the sample rates are a ratio of small integers, there
+  // are only L possible fractional offsets
+  let L = 0;
+  let M = 0;
+  let phases = null;
+  if (Number.isInteger(srIn) && Number.isInteger(srOut)) {
+    const g = gcd(srIn, srOut);
+    L = srOut/g;
+    M = srIn/g;
+    if (L <= 4096) {
+      phases = [];
+    }
+  }
+  // Step 3: Apply the filter at each output sample
+  let buf = new Float32Array(nTaps);
+  for (let n = 0; n < NOut; n++) {
+    let i = 0;
+    let w = null;
+    if (phases === null) {
+      const t = n*srIn/srOut;
+      i = Math.floor(t);
+      w = getWeights(t-i, buf);
+    }
+    else {
+      i = Math.floor(n*M/L);
+      const p = (n*M) % L;
+      if (phases[p] === undefined) {
+        phases[p] = getWeights(p/L, new Float32Array(nTaps));
+      }
+      w = phases[p];
+    }
+    const start = i - nTaps/2 + 1;
+    let sum = 0;
+    for (let j = 0; j < nTaps; j++) {
+      if (start+j >= 0 && start+j < N) {
+        sum += w[j]*samples[start+j];
+      }
+    }
+    y[n] = sum;
+  }
+  return y;
+}
@@ -0,0 +1,283 @@
+// Requires features.js, resample.js, and dtw.js to have been loaded first
+
+/**  Online score following against a reference recording with on-line
+ *   time warping, as described in [1]
+ *   [1] "Live Tracking of Musical Performances Using On-Line Time Warping."
+ *          Simon Dixon. DAFx 2005
+ */
+
+class ScoreFollower {
+  /**
+   * Setup a follower that aligns live audio to a reference recording
+   * as the live audio comes in
+   *
+   * @param {SampledAudio} audio Audio object that will hold the live samples
+   * @param {SampledAudio} reference The reference recording to follow.  It is
+   *                                 resampled to the sample rate of audio
+   *                                 if necessary
+   * @param {int} win Window length (assumed to be a power of 2)
+   * @param {int} hop Hop length, which is also the size of the chunks that
+   *                  are read from the microphone
+   * @param {object} options {
+   *  'searchWidth': How many frames back in each sequence the path can be
+   *                 revised (default 200),
+   *  'maxRunCount': The most frames the path can advance in just one sequence
+   *                 before it has to advance in the other (default 3),
+   *  'tuning': Frequency of A4 for the chroma features, in hz (default 440)
+   * }
+   */
+  constructor(audio, reference, win, hop, options) {
+    options = Object.assign({"searchWidth":200, "maxRunCount":3, "tuning":440}, options);
+    this.audio = audio;
+    this.win = win;
+    this.hop = hop;
+    this.c = options.searchWidth;
+    this.maxRunCount = options.maxRunCount;
+    this.tuning = options.tuning;
+    this.window = getWindow("hann", win);
+    this.fft = new FFTJS(win);
+    // Compute the features of the reference up front
+    let samples = reference.samples;
+    if (reference.sr != audio.sr) {
+      samples = resample(samples, reference.sr, audio.sr);
+    }
+    this.V = null;
+    const that = this;
+    this.ready = getSpectrogram(samples, win, hop, false, {"window":"hann"}).then(S => {
+      that.V = getChromaFromSpectrogram(S, audio.sr, win, that.tuning);
+    });
+    this.reset();
+  }
+
+  /**
+   * Go back to the start of the reference, e.g. to follow a new performance
+   */
+  reset() {
+    this.U = []; // Features of the live audio
+    this.D = new Map(); // The last searchWidth rows of accumulated costs
+    this.t = -1; // Last frame of the live audio
+    this.j = -1; // Last frame of the reference
+    this.previous = null;
+    this.runCount = 0;
+    this.refFrame = 0;
+  }
+
+  /**
+   * @param {string} startButtonStr DOM element name of start button
+   * @param {string} stopButtonStr DOM element name of stop button
+   * @param {function} timeCallback A function to callback with the current
+   *                                time in the reference, in seconds, and
+   *                                the current reference frame, every time
+   *                                a new live frame has been aligned (optional)
+   */
+  startRecording(startButtonStr, stopButtonStr, timeCallback) {
+    this.reset();
+    this.timeCallback = timeCallback;
+    this.audio.startRecordingRealtime(startButtonStr, stopButtonStr, this.hop, this.processChunk.bind(this));
+  }
+
+  /**
+   * Align all of the live frames that have come in since the last call
+   */
+  processChunk() {
+    if (this.V === null) {
+      // The reference features aren't ready yet, so wait for a later chunk
+      return;
+    }
+    const M = this.V.length;
+    while ((this.t+1)*this.hop + this.win <= this.audio.samples.length) {
+      if (this.t == -1) {
+        this.t = 0;
+        this.j = 0;
+        this.U.push(this.getLiveFeature(0));
+        this.D.set(0, new Float32Array(M).fill(Infinity));
+        this.evaluate(0, 0, this.getCosts(0, 0, 0)[0]);
+      }
+      else {
+        // Advance through the reference until the path needs a new live frame
+        let inc = this.getInc();
+        while (inc == "column") {
+          this.addColumn();
+          this.updateRunCount(inc);
+          inc = this.getInc();
+        }
+        if (inc == "both") {
+          this.addColumn();
+        }
+        this.addRow();
+        this.updateRunCount(inc);
+      }
+      // Report the reference frame that best matches the latest live frame
+      const row = this.D.get(this.t);
+      let best = Infinity;
+      for (let j = Math.max(0, this.j-this.c+1); j <= this.j; j++) {
+        const cost = row[j]/(this.t+j+1);
+        if (cost < best) {
+          best = cost;
+          this.refFrame = j;
+        }
+      }
+      if (!(this.timeCallback === undefined)) {
+        this.timeCallback(this.refFrame*this.hop/this.audio.sr, this.refFrame);
+      }
+    }
+  }
+
+  /**
+   * Compute the chroma of one frame of the live audio
+   * @param {int} t Index of the frame
+   */
+  getLiveFeature(t) {
+    let x = Float32Array.from(this.audio.samples.slice(t*this.hop, t*this.hop+this.win));
+    for (let n = 0; n < this.win; n++) {
+      x[n] *= this.window[n];
+    }
+    let s = this.fft.createComplexArray();
+    this.fft.realTransform(s, x);
+    let Si = new Float32Array(this.win/2+1);
+    for (let k = 0; k < Si.length; k++) {
+      Si[k] = Math.sqrt(s[k*2]*s[k*2] + s[k*2+1]*s[k*2+1]);
+    }
+    return getChromaFromSpectrogram([Si], this.audio.sr, this.win, this.tuning)[0];
+  }
+
+  /**
+   * Compute the distances between live frames and reference frames
+   * @param {int} t1 First live frame
+   * @param {int} t2 Last live frame
+   * @param {int} j1 First reference frame
+   * @param {int} j2 Last reference frame (default j1)
+   *
+   * @return A flat array of distances, in the order of the cells in
+   *         either a row (t1 == t2) or a column (j1 == j2)
+   */
+  getCosts(t1, t2, j1, j2) {
+    if (j2 === undefined) {
+      j2 = j1;
+    }
+    const C = getCostMatrix(this.U.slice(t1, t2+1), this.V.slice(j1, j2+1), "cosine");
+    let res = [];
+    for (let i = 0; i < C.length; i++) {
+      for (let j = 0; j < C[i].length; j++) {
+        res.push(C[i][j]);
+      }
+    }
+    return res;
+  }
+
+  /**
+   * Accumulate the cost of the cheapest path into a cell, where diagonal
+   * steps count the distance twice so that they aren't favored [1]
+   * @param {int} t Live frame
+   * @param {int} j Reference frame
+   * @param {float} d Distance between the two frames
+   */
+  evaluate(t, j, d) {
+    const row = this.D.get(t);
+    if (t == 0 && j == 0) {
+      row[j] = d;
+      return;
+    }
+    const prev = this.D.get(t-1);
+    let cost = Infinity;
+    if (j > 0) {
+      cost = Math.min(cost, row[j-1] + d);
+    }
+    if (!(prev === undefined)) {
+      cost = Math.min(cost, prev[j] + d);
+      if (j > 0) {
+        cost = Math.min(cost, prev[j-1] + 2*d);
+      }
+    }
+    row[j] = cost;
+  }
+
+  /**
+   * Read the next live frame, and extend the path to it
+   */
+  addRow() {
+    this.t++;
+    const t = this.t;
+    this.U.push(this.getLiveFeature(t));
+    this.D.set(t, new Float32Array(this.V.length).fill(Infinity));
+    this.D.delete(t-this.c);
+    const j1 = Math.max(0, this.j-this.c+1);
+    const costs = this.getCosts(t, t, j1, this.j);
+    for (let j = j1; j <= this.j; j++) {
+      this.evaluate(t, j, costs[j-j1]);
+    }
+  }
+
+  /**
+   * Extend the path to the next reference frame
+   */
+  addColumn() {
+    this.j++;
+    const j = this.j;
+    const t1 = Math.max(0, this.t-this.c+1);
+    const costs = this.getCosts(t1, this.t, j);
+    for (let t = t1; t <= this.t; t++) {
+      this.evaluate(t, j, costs[t-t1]);
+    }
+  }
+
+  /**
+   * Decide whether to advance the live audio ("row"), the reference ("column"),
+   * or both, based on where the cheapest path to the current frontier ends
+   */
+  getInc() {
+    if (this.j == this.V.length-1) {
+      return "row";
+    }
+    if (this.t < this.c) {
+      return "both";
+    }
+    if (this.runCount > this.maxRunCount) {
+      return this.previous == "row" ? "column" : "row";
+    }
+    let best = Infinity;
+    let x = this.t;
+    let y = this.j;
+    const row = this.D.get(this.t);
+    for (let j = Math.max(0, this.j-this.c+1); j <= this.j; j++) {
+      const cost = row[j]/(this.t+j+1);
+      if (cost < best) {
+        best = cost;
+        x = this.t;
+        y = j;
+      }
+    }
+    for (let t = Math.max(0, this.t-this.c+1); t <= this.t; t++) {
+      const cost = this.D.get(t)[this.j]/(t+this.j+1);
+      if (cost < best) {
+        best = cost;
+        x = t;
+        y = this.j;
+      }
+    }
+    if (x < this.t) {
+      return "column";
+    }
+    else if (y < this.j) {
+      return "row";
+    }
+    return "both";
+  }
+
+  /**
+   * Keep track of how many times in a row the path has advanced
+   * in the same sequence
+   * @param {string} inc "row", "column", or "both"
+   */
+  updateRunCount(inc) {
+    if (inc == this.previous) {
+      this.runCount++;
+    }
+    else {
+      this.runCount = 1;
+    }
+    if (!(inc == "both")) {
+      this.previous = inc;
+    }
+  }
+}
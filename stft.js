@@ -0,0 +1,248 @@
+// Requires features.js to have been loaded first
+
+/**  Complex short-time Fourier transform and its inverse  **/
+
+/**
+ * Compute the complex short-time Fourier transform of a set of audio samples,
+ * using a Hann window.  The audio is padded with win/2 zeros on either side so
+ * that frame i is centered on sample i*hop
+ * @param {array} samples Audio samples
+ * @param {int} win Window length (assumed to be a power of 2)
+ * @param {int} hop Hop length
+ * @returns A promise that resolves to {
+ *  're': An N x (win/2+1) array of the real parts,
+ *  'im': An N x (win/2+1) array of the imaginary parts
+ * }
+ */
+function getSTFT(samples, win, hop) {
+  return getComplexSpectrogram(samples, win, hop, {"window":"hann", "center":true, "padMode":"constant"});
+}
+
+/**
+ * Invert a complex short-time Fourier transform with weighted overlap-add,
+ * using a Hann synthesis window and normalizing by the sum of the squared
+ * windows.  This undoes getSTFT exactly, up to numerical precision, as long
+ * as the windows overlap by at least half.  With less overlap, the squared
+ * windows nearly vanish between frames, so the normalization is unstable
+ * @param {object} S {'re', 'im'} STFT, as returned from getSTFT
+ * @param {int} win Window length
+ * @param {int} hop Hop length (at most win/2)
+ * @param {int} length Number of audio samples to return.  By default,
+ *                     this is (N-1)*hop, where N is the number of frames
+ *
+ * @return A Float32Array of audio samples
+ */
+function getISTFT(S, win, hop, length) {
+  if (hop > win/2) {
+    throw new Error("Hop length " + hop + " is more than half of the window length " + win);
+  }
+  const W = S.re.length;
+  if (length === undefined) {
+    length = (W-1)*hop;
+  }
+  const swin = win/2+1;
+  const fft = new FFTJS(win);
+  const window = hannWindow(win);
+  let y = new Float32Array(length);
+  let norm = new Float32Array(length);
+  let s = fft.createComplexArray();
+  let x = fft.createComplexArray();
+  for (let i = 0; i < W; i++) {
+    // Fill in the negative frequencies with the complex conjugate
+    for (let k = 0; k < swin; k++) {
+      s[k*2] = S.re[i][k];
+      s[k*2+1] = S.im[i][k];
+    }
+    for (let k = swin; k < win; k++) {
+      s[k*2] = S.re[i][win-k];
+      s[k*2+1] = -S.im[i][win-k];
+    }
+    fft.inverseTransform(x, s);
+    const start = i*hop - win/2;
+    for (let n = 0; n < win; n++) {
+      if (start+n >= 0 && start+n < length) {
+        y[start+n] += window[n]*x[n*2];
+        norm[start+n] += window[n]*window[n];
+      }
+    }
+  }
+  for (let i = 0; i < length; i++) {
+    if (norm[i] > 1e-8) {
+      y[i] /= norm[i];
+    }
+  }
+  return y;
+}
+
+/**
+ * Estimate audio samples whose short-time Fourier transform magnitude
+ * matches a given magnitude spectrogram using the Griffin-Lim algorithm [1],
+ * optionally with the momentum term of the fast Griffin-Lim algorithm [2]
+ * [1] "Signal Estimation from Modified Short-Time Fourier Transform."
+ *          Daniel Griffin, Jae Lim. IEEE Trans. ASSP 1984
+ * [2] "A Fast Griffin-Lim Algorithm." Nathanael Perraudin, Peter Balazs,
+ *          Peter L. Soendergaard. WASPAA 2013
+ * @param {2D Array} S An N x (win/2+1) magnitude spectrogram, with frame i
+ *                     centered on sample i*hop, as in getSTFT, or getSpectrogram
+ *                     with {window:"hann", center:true, padMode:"constant"}.
+ *                     Use getMelInverse to start from a mel spectrogram
+ * @param {int} win Window length
+ * @param {int} hop Hop length
+ * @param {int} nIters Number of iterations (default 32)
+ * @param {float} momentum Momentum of fast Griffin-Lim.  Use 0 for the
+ *                         original Griffin-Lim algorithm (default 0.99)
+ * @param {function} onProgress A callback function that is invoked with the
+ *                              iteration number and nIters after every
+ *                              iteration (optional)
+ * @param {int} length Number of audio samples to return (default (N-1)*hop)
+ * @returns A promise that resolves to a Float32Array of audio samples
+ */
+function getGriffinLim(S, win, hop, nIters, momentum, onProgress, length) {
+  if (nIters === undefined) {
+    nIters = 32;
+  }
+  if (momentum === undefined) {
+    momentum = 0.99;
+  }
+  const W = S.length;
+  const swin = win/2+1;
+  if (length === undefined) {
+    length = (W-1)*hop;
+  }
+  // Start off with random phases
+  let X = {"re":[], "im":[]};
+  let prev = {"re":[], "im":[]};
+  for (let i = 0; i < W; i++) {
+    X.re.push(new Float32Array(swin));
+    X.im.push(new Float32Array(swin));
+    prev.re.push(new Float32Array(swin));
+    prev.im.push(new Float32Array(swin));
+    for (let k = 0; k < swin; k++) {
+      const theta = 2*Math.PI*Math.random();
+      X.re[i][k] = S[i][k]*Math.cos(theta);
+      X.im[i][k] = S[i][k]*Math.sin(theta);
+    }
+  }
+  const alpha = momentum/(1+momentum);
+  return new Promise(resolve => {
+    let iter = 0;
+    function step() {
+      if (iter == nIters) {
+        resolve(getISTFT(X, win, hop, length));
+        return;
+      }
+      // Project onto the set of consistent STFTs
+      let y = getISTFT(X, win, hop, (W-1)*hop);
+      getSTFT(y, win, hop).then(R => {
+        // Apply momentum, then impose the target magnitudes
+        for (let i = 0; i < W; i++) {
+          for (let k = 0; k < swin; k++) {
+            const re = R.re[i][k] - alpha*prev.re[i][k];
+            const im = R.im[i][k] - alpha*prev.im[i][k];
+            const mag = Math.sqrt(re*re + im*im);
+            if (mag > 0) {
+              X.re[i][k] = S[i][k]*re/mag;
+              X.im[i][k] = S[i][k]*im/mag;
+            }
+            else {
+              X.re[i][k] = S[i][k];
+              X.im[i][k] = 0;
+            }
+          }
+        }
+        prev = R;
+        iter++;
+        if (!(onProgress === undefined)) {
+          onProgress(iter, nIters);
+        }
+        // Yield to the browser so that it can redraw between iterations
+        setTimeout(step, 0);
+      });
+    }
+    step();
+  });
+}
+
+/**
+ * Map a mel spectrogram back onto linear frequency bins, so that it can be
+ * turned into audio with getGriffinLim.  Each frame is the non-negative
+ * least squares fit through the mel filterbank, found with multiplicative
+ * updates as in NMF with the templates held fixed.  Detail that the mel
+ * bins averaged away can't be recovered, so the result is smooth across
+ * frequency within each mel band
+ * @param {2D Array} M An N x nBins mel spectrogram, computed as
+ *                     numeric.dot(S^power, Mel) for a magnitude spectrogram S
+ * @param {2D Array} Mel The (win/2+1) x nBins filterbank that made M, as
+ *                       returned from getMelFilterbank
+ * @param {float} power The exponent that S was raised to; 1 for a magnitude mel
+ *                      spectrogram or 2 for a power mel spectrogram (default 1)
+ * @param {int} nIters Number of iterations (default 100)
+ *
+ * @return An N x (win/2+1) magnitude spectrogram
+ */
+function getMelInverse(M, Mel, power, nIters) {
+  if (power === undefined) {
+    power = 1;
+  }
+  if (nIters === undefined) {
+    nIters = 100;
+  }
+  const K = Mel.length;
+  const nBins = Mel[0].length;
+  const eps = 1e-10;
+  // The Gram matrix Mel*Mel^T is shared by all frames, and it's sparse
+  // since each linear bin only falls into a couple of mel bins
+  let G = [];
+  for (let k = 0; k < K; k++) {
+    G.push(new Map());
+  }
+  for (let b = 0; b < nBins; b++) {
+    let ks = [];
+    for (let k = 0; k < K; k++) {
+      if (Mel[k][b] > 0) {
+        ks.push(k);
+      }
+    }
+    for (const k of ks) {
+      for (const j of ks) {
+        G[k].set(j, (G[k].has(j) ? G[k].get(j) : 0) + Mel[k][b]*Mel[j][b]);
+      }
+    }
+  }
+  const Gidx = G.map(Gk => Int32Array.from(Gk.keys()));
+  const Gval = G.map(Gk => Float32Array.from(Gk.values()));
+  let S = [];
+  let num = new Float32Array(K);
+  for (let i = 0; i < M.length; i++) {
+    // Step 1: Project the mel bins back onto the linear bins
+    let Si = new Float32Array(K);
+    for (let k = 0; k < K; k++) {
+      let weight = 0;
+      for (let b = 0; b < nBins; b++) {
+        Si[k] += Mel[k][b]*M[i][b];
+        weight += Mel[k][b];
+      }
+      num[k] = Si[k];
+      if (weight > 0) {
+        Si[k] /= weight;
+      }
+    }
+    // Step 2: Refine with multiplicative updates
+    for (let iter = 0; iter < nIters; iter++) {
+      for (let k = 0; k < K; k++) {
+        if (Si[k] > 0) {
+          let denom = 0;
+          for (let j = 0; j < Gidx[k].length; j++) {
+            denom += Gval[k][j]*Si[Gidx[k][j]];
+          }
+          Si[k] *= num[k]/(denom + eps);
+        }
+      }
+    }
+    for (let k = 0; k < K; k++) {
+      Si[k] = Math.pow(Si[k], 1/power);
+    }
+    S.push(Si);
+  }
+  return S;
+}
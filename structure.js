@@ -0,0 +1,227 @@
+// Requires features.js to have been loaded first
+
+/**  Self-similarity matrices and novelty-based segmentation for music
+ *   structure analysis, as described in [1]
+ *   [1] "Automatic Audio Segmentation Using a Measure of Audio Novelty."
+ *          Jonathan Foote. ICME 2000
+ */
+
+/**
+ * Compute a self-similarity matrix between all pairs of frames of a feature
+ * @param {2D Array} X An N x d array of features from features.js (e.g. a
+ *                     chromagram or MFCCs), or a length N array with one
+ *                     feature per frame (e.g. a spectral centroid)
+ * @param {string} metric "cosine" for cosine similarity, or "euclidean" for
+ *                        the negative Euclidean distance (default "cosine")
+ * @param {array} beats If given, beat locations, in units of hop length, to
+ *                      which the features are first synchronized with
+ *                      getBeatSyncFeatures (optional)
+ * @param {int} K If given, turn the matrix into a binary recurrence plot by
+ *                keeping only pairs of frames that are both among each
+ *                other's K nearest neighbors (optional)
+ *
+ * @return An N x N array of similarities, where N is the number of beats if
+ *         beats were given
+ */
+function getSSM(X, metric, beats, K) {
+  if (metric === undefined) {
+    metric = "cosine";
+  }
+  if (!(metric == "cosine" || metric == "euclidean")) {
+    throw new Error("Unknown similarity metric " + metric);
+  }
+  if (!(beats === undefined)) {
+    X = getBeatSyncFeatures(X, beats, "mean");
+  }
+  else if (X.length > 0 && typeof X[0] == "number") {
+    // Treat one feature per frame as an N x 1 array, as getBeatSyncFeatures does
+    X = Array.from(X, x => [x]);
+  }
+  const N = X.length;
+  // Step 1: Compute the similarity between every pair of frames
+  let norms = new Float32Array(N);
+  for (let i = 0; i < N; i++) {
+    for (let k = 0; k < X[i].length; k++) {
+      norms[i] += X[i][k]*X[i][k];
+    }
+    norms[i] = Math.sqrt(norms[i]);
+  }
+  let D = [];
+  for (let i = 0; i < N; i++) {
+    D.push(new Float32Array(N));
+  }
+  for (let i = 0; i < N; i++) {
+    for (let j = i; j < N; j++) {
+      let dot = 0;
+      for (let k = 0; k < X[i].length; k++) {
+        dot += X[i][k]*X[j][k];
+      }
+      let sim = 0;
+      if (metric == "cosine") {
+        if (norms[i] > 0 && norms[j] > 0) {
+          sim = dot/(norms[i]*norms[j]);
+        }
+      }
+      else {
+        sim = -Math.sqrt(Math.max(0, norms[i]*norms[i] + norms[j]*norms[j] - 2*dot));
+      }
+      D[i][j] = sim;
+      D[j][i] = sim;
+    }
+  }
+  // Step 2: Threshold to mutual nearest neighbors, if requested
+  if (!(K === undefined)) {
+    let thresh = new Float32Array(N);
+    for (let i = 0; i < N; i++) {
+      let row = Array.from(D[i]);
+      row.sort((a, b) => b - a);
+      thresh[i] = row[Math.min(K, N-1)];
+    }
+    let R = [];
+    for (let i = 0; i < N; i++) {
+      let Ri = new Float32Array(N);
+      for (let j = 0; j < N; j++) {
+        if (D[i][j] >= thresh[i] && D[i][j] >= thresh[j]) {
+          Ri[j] = 1;
+        }
+      }
+      R.push(Ri);
+    }
+    D = R;
+  }
+  return D;
+}
+
+/**
+ * Compute a Gaussian-tapered checkerboard kernel
+ * @param {int} L Half of the width of the kernel
+ * @param {float} sigma Standard deviation of the taper, relative to L (default 0.5)
+ *
+ * @return A 2L x 2L array with the kernel, which is positive in the quadrants
+ *         that compare a segment to itself and negative in the quadrants that
+ *         compare the two segments to each other
+ */
+function getCheckerboardKernel(L, sigma) {
+  if (sigma === undefined) {
+    sigma = 0.5;
+  }
+  let C = [];
+  for (let i = 0; i < 2*L; i++) {
+    let Ci = new Float32Array(2*L);
+    const x = (i-L+0.5)/L;
+    for (let j = 0; j < 2*L; j++) {
+      const y = (j-L+0.5)/L;
+      Ci[j] = Math.sign(x)*Math.sign(y)*Math.exp(-(x*x + y*y)/(2*sigma*sigma));
+    }
+    C.push(Ci);
+  }
+  return C;
+}
+
+/**
+ * Compute Foote's audio novelty by correlating a checkerboard kernel along
+ * the diagonal of a self-similarity matrix.  Peaks indicate boundaries
+ * between segments
+ * @param {2D Array} D An N x N self-similarity matrix, as returned from getSSM
+ * @param {int} L Half of the width of the checkerboard kernel, in frames (default 16)
+ * @param {float} sigma Standard deviation of the taper, relative to L (default 0.5)
+ *
+ * @return A Float32Array (length N) with the novelty at each frame
+ */
+function getFooteNovelty(D, L, sigma) {
+  if (L === undefined) {
+    L = 16;
+  }
+  const N = D.length;
+  const C = getCheckerboardKernel(L, sigma);
+  let novfn = new Float32Array(N);
+  for (let i = 0; i < N; i++) {
+    // Shrink the kernel near the ends so that its positive and negative
+    // quadrants stay balanced
+    const Li = Math.min(L, i, N-i);
+    let sum = 0;
+    for (let a = L-Li; a < L+Li; a++) {
+      for (let b = L-Li; b < L+Li; b++) {
+        sum += C[a][b]*D[i-L+a][i-L+b];
+      }
+    }
+    novfn[i] = sum;
+  }
+  return novfn;
+}
+
+/**
+ * Find segment boundaries as the local maxima of a Foote novelty curve
+ * @param {array} novfn A novelty curve, as returned from getFooteNovelty
+ * @param {int} L Minimum number of frames between boundaries (default 16)
+ * @param {float} thresh Fraction of the maximum novelty below which peaks
+ *                       are ignored (default 0.1)
+ *
+ * @return An array of the frame indices of the boundaries
+ */
+function getFooteBoundaries(novfn, L, thresh) {
+  if (L === undefined) {
+    L = 16;
+  }
+  if (thresh === undefined) {
+    thresh = 0.1;
+  }
+  let max = 0;
+  for (let i = 0; i < novfn.length; i++) {
+    max = Math.max(max, novfn[i]);
+  }
+  let boundaries = [];
+  for (let i = 0; i < novfn.length; i++) {
+    if (novfn[i] <= thresh*max) {
+      continue;
+    }
+    let isMax = true;
+    for (let j = Math.max(0, i-L); j <= Math.min(novfn.length-1, i+L) && isMax; j++) {
+      if (novfn[j] > novfn[i] || (novfn[j] == novfn[i] && j < i)) {
+        isMax = false;
+      }
+    }
+    if (isMax) {
+      boundaries.push(i);
+    }
+  }
+  return boundaries;
+}
+
+/**
+ * Plot a self-similarity matrix as a heatmap using plotly
+ * @param {string} plotName name of plotting element
+ * @param {2D Array} D An N x N self-similarity matrix
+ * @param {array} times The time, in seconds, of each frame (optional)
+ * @param {array} boundaries Frame indices of segment boundaries to
+ *                           mark with lines (optional)
+ */
+function plotSSM(plotName, D, times, boundaries) {
+  if (times === undefined) {
+    times = [];
+    for (let i = 0; i < D.length; i++) {
+      times.push(i);
+    }
+  }
+  let zs = [];
+  for (let i = 0; i < D.length; i++) {
+    zs.push(Array.from(D[i]));
+  }
+  let plot = {x:Array.from(times), y:Array.from(times), z:zs, type:"heatmap"};
+  let shapes = [];
+  if (!(boundaries === undefined)) {
+    for (let i = 0; i < boundaries.length; i++) {
+      const t = times[boundaries[i]];
+      shapes.push({type:"line", x0:t, x1:t, y0:times[0], y1:times[times.length-1],
+                   line:{color:"white", width:1}});
+    }
+  }
+  let layout = {title:"Self-Similarity Matrix",
+                xaxis:{title:"Time"},
+                yaxis:{title:"Time", autorange:"reversed"},
+                shapes:shapes,
+                autosize: false,
+                width: 600,
+                height: 600};
+  Plotly.newPlot(plotName, [plot], layout);
+}
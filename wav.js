@@ -3,7 +3,8 @@
 // Returns Uint8Array of WAV bytes
 function getWavBytes(buffer, options) {
   const type = options.isFloat ? Float32Array : Uint16Array
-  const numFrames = buffer.byteLength / type.BYTES_PER_ELEMENT
+  // The samples of all channels are interleaved, so each frame has one per channel
+  const numFrames = buffer.byteLength / type.BYTES_PER_ELEMENT / (options.numChannels || 2)
 
   const headerBytes = getWavHeader(Object.assign({}, options, { numFrames }))
   const wavBytes = new Uint8Array(headerBytes.length + buffer.byteLength);